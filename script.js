@@ -6,32 +6,91 @@
 
 const STORAGE_SETTINGS_KEY = 'wt_settings_v1';
 const STORAGE_WORKOUTS_KEY = 'wt_workouts_v1';
+const STORAGE_ROUTINES_KEY = 'wt_routines_v1';
+const STORAGE_SESSION_KEY = 'wt_session_v1';
+const STORAGE_EXERCISES_KEY = 'wt_exercises_v1';
+const STORAGE_SCHEMA_KEY = 'wt_schema_version';
+const STORAGE_PASSWORD_KEY = 'wt_webdav_password'; // In sessionStorage, see setWebdavPassword()
+const WORKOUT_DB_NAME = 'workout-tracker'; // IndexedDB database holding the workouts, see openWorkoutStore()
+const WORKOUT_DB_VERSION = 1;
+const SCHEMA_VERSION = 5; // Bump together with a new entry in MIGRATIONS
+const HISTORY_PAGE_SIZE = 20; // Workouts rendered at a time in the History tab
+const UNDO_LIMIT = 30; // Commands kept for undo, per scope (see recordCommand())
+const SNACKBAR_MS = 6000; // How long an undo/redo offer stays up
 const MQL_DARK = window.matchMedia('(prefers-color-scheme: dark)');
 
 // ==========================================================================
 //  App State
 // ==========================================================================
 
+// Storage keys that could not be parsed on startup, see readStoredJSON()
+const storageRecovery = [];
+
 const App = {
 	settings: Object.assign({
 		defaultUnit: 'kg',
 		appearance: 'light',
-		lastDriveBackup: null,
+		e1rmFormula: 'epley', // Key of E1RM_FORMULAS
+		hardSetRpe: 0, // Minimum difficulty of a set counted as hard, 0 for any set; see isHardSet()
+		muscleTargets: {}, // Weekly hard set ranges {min, max} by MUSCLE_GROUPS key, see muscleTarget()
+		historyUnits: 'logged', // 'logged' or 'default', see displayUnit()
+		backupFormat: 'json', // 'json' (full backup) or 'csv' (history only), for export and cloud backups
+		importMode: 'merge', // 'merge' into history or 'replace' it, see confirmImport()
+		retention: { daily: 7, weekly: 4, monthly: 12 }, // Cloud backups kept per period, see backupsToPrune()
+		autoBackup: 'off', // Key of AUTO_BACKUP_MODES
+		storageProvider: 'drive', // Key of STORAGE_PROVIDERS, where cloud backups go
+		webdavUrl: '', // Folder for the 'webdav' provider
+		webdavUser: '', // The password is kept for the session only, see App.webdavPassword
+		lastDriveBackup: null, // Last cloud backup, whatever the provider
+		lastBackupOutcome: null, // {at, ok, message} of the last cloud backup attempt
 		historyDirty: false
-	}, JSON.parse(localStorage.getItem(STORAGE_SETTINGS_KEY)) || {}),
-	workouts: JSON.parse(localStorage.getItem(STORAGE_WORKOUTS_KEY)) || [],
-	editIndex: null, // Index of the workout being edited, or null
+	}, readStoredJSON(STORAGE_SETTINGS_KEY, {}, v => typeof v === 'object' && !Array.isArray(v))),
+	// In-memory copy of the stored workouts, oldest first. Loaded by openWorkoutStore()
+	// and upgraded by runMigrations(); until then this holds the localStorage history, if any.
+	// Read it through getWorkout() and queryWorkouts(), and change it through putWorkouts()
+	// and deleteWorkouts(). Only code working on the whole history at once (migrations, undo,
+	// catalog and unit changes, exports) uses it directly, persisting changes with saveWorkouts().
+	workouts: readStoredJSON(STORAGE_WORKOUTS_KEY, [], Array.isArray),
+	routines: readStoredJSON(STORAGE_ROUTINES_KEY, [], Array.isArray), // Saved plans: {id, name, items}
+	customExercises: readStoredJSON(STORAGE_EXERCISES_KEY, [], Array.isArray), // The user's additions to EXERCISE_CATALOG
+	webdavPassword: sessionStorage.getItem(STORAGE_PASSWORD_KEY) || '', // See setWebdavPassword()
+	editId: null, // ID of the workout being edited, or null
 	workoutStarted: false,
-	workoutSeconds: 0,
-	workoutTimerId: null, // ID for the global workout timer
+	workoutClock: null, // Wall clock of the whole workout, see createClock()
+	workoutTimerId: null, // ID for the global workout timer (display refresh only)
 	activeRowIndex: null, // Index of the row (card) currently being timed
 	rowTimers: [], // array of interval IDs (per row) or null
+	checkpointTimerId: null, // Pending session checkpoint, see scheduleCheckpoint()
+	sessionKept: false, // The stored checkpoint is one the user put off restoring, see checkpointSession()
+	commands: {
+		done: [], // Undoable commands, oldest first: {label, undo, redo, scope}
+		undone: [], // Commands undone since the last new one, for redo
+		replaying: false, // True while a command is undone or redone, so it isn't recorded again
+		snackbarTimerId: null
+	},
+	historyView: {
+		matches: [], // Workouts that pass the filters, newest first
+		shown: 0, // How many of them are rendered
+		renders: 0, // Counts renderHistory() calls, so a slower earlier one doesn't overwrite a later one
+		observer: null, // Loads the next page when the end of the list scrolls into view
+		searchTimerId: null // Debounces typing in the search box
+	},
+	calendarView: {
+		mode: 'month', // 'month' calendar or 'year' heatmap
+		metric: 'volume', // Days are shaded by 'volume' or 'duration'
+		cursor: new Date(), // Any day in the month or year being shown
+		selectedDay: null, // Day key (see dayKey()) whose workouts are listed, or null
+		renders: 0 // Counts renderCalendar() calls, see historyView.renders
+	},
 	charts: {
 		difficulty: null,
 		weight: null,
 		duration: null,
-		break: null
+		break: null,
+		oneRepMax: null,
+		muscleVolume: null
 	},
+	progressRenders: 0, // Counts renderProgress() calls, see historyView.renders
 	panelResizeObserver: null,
 	// Callbacks for custom modal
 	modal: {
@@ -60,8 +119,18 @@ const fmtTime = secs => {
 /** Saves the App.settings object to localStorage. */
 const saveSettings = () => localStorage.setItem(STORAGE_SETTINGS_KEY, JSON.stringify(App.settings));
 
-/** Saves the App.workouts array to localStorage. */
-const saveWorkouts = () => localStorage.setItem(STORAGE_WORKOUTS_KEY, JSON.stringify(App.workouts));
+/** Saves the App.routines array to localStorage. */
+const saveRoutines = () => localStorage.setItem(STORAGE_ROUTINES_KEY, JSON.stringify(App.routines));
+
+/** Persists the user's exercises to localStorage. */
+const saveCustomExercises = () => localStorage.setItem(STORAGE_EXERCISES_KEY, JSON.stringify(App.customExercises));
+
+/**
+ * Generates a reasonably unique ID for stored records.
+ * @param {string} prefix - A short prefix identifying the record type.
+ * @returns {string} The generated ID.
+ */
+const makeId = prefix => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
 
 /**
  * Escapes a string for safe HTML insertion.
@@ -74,6 +143,24 @@ const escapeHtml = str => {
 		.replace(/"/g, '&quot;').replace(/'/g, '&#039;');
 };
 
+/** Shows the current settings in the Settings panel's controls. */
+function renderSettings() {
+	$('defaultUnit').value = App.settings.defaultUnit || 'kg';
+	$('appearance').value = App.settings.appearance || 'light';
+	$('e1rmFormula').value = E1RM_FORMULAS[App.settings.e1rmFormula] ? App.settings.e1rmFormula : 'epley';
+	$('hardSetRpe').value = String(parseInt(App.settings.hardSetRpe, 10) || 0);
+	$('historyUnits').value = App.settings.historyUnits === 'default' ? 'default' : 'logged';
+	$('backupFormat').value = App.settings.backupFormat === 'csv' ? 'csv' : 'json';
+	$('importMode').value = App.settings.importMode === 'replace' ? 'replace' : 'merge';
+	$('storageProvider').value = STORAGE_PROVIDERS[App.settings.storageProvider] ? App.settings.storageProvider : 'drive';
+	['webdavUrl', 'webdavUser'].forEach(id => { $(id).value = App.settings[id] || ''; });
+	$('webdavPassword').value = App.webdavPassword;
+	$('autoBackup').value = AUTO_BACKUP_MODES[App.settings.autoBackup] ? App.settings.autoBackup : 'off';
+	['daily', 'weekly', 'monthly'].forEach(period => {
+		$(`keep${period[0].toUpperCase()}${period.slice(1)}`).value = App.settings.retention?.[period] ?? 0;
+	});
+}
+
 function renderBackupAndDirtyUI() {
 	const last = App.settings.lastDriveBackup;
 	const lastEl = $('lastBackupDisplay');
@@ -92,1517 +179,6007 @@ function renderBackupAndDirtyUI() {
 			dirtyEl.classList.add('clean');
 		}
 	}
+	const outcome = App.settings.lastBackupOutcome;
+	const outcomeEl = $('backupOutcomeDisplay');
+	if (outcomeEl) {
+		outcomeEl.textContent = outcome ? `${outcome.message} (${new Date(outcome.at).toLocaleString()})` : 'None yet';
+		outcomeEl.classList.toggle('dirty', !!outcome && !outcome.ok);
+	}
+}
+
+/**
+ * Flags the history as changed since the last cloud backup, so the next
+ * (automatic) backup picks it up.
+ */
+function markHistoryDirty() {
+	App.settings.historyDirty = true;
+	autoBackup.revision++;
+	saveSettings();
+	renderBackupAndDirtyUI();
+	if (App.settings.autoBackup === 'change') scheduleAutoBackup(AUTO_BACKUP_DELAY_MS);
 }
 
 // ==========================================================================
-//  DOM Helpers
+//  Workout Data Helpers
 // ==========================================================================
 
 /**
- * Shorthand for document.getElementById.
- * @param {string} id - The element ID.
- * @returns {HTMLElement} The DOM element.
+ * Upgrades a legacy single-set exercise ({reps, weights, dropset, difficulty, time})
+ * to the multi-set shape ({name, unit, sets: [...], time}). Breaks and exercises
+ * that already have sets are returned unchanged.
+ * @param {object} ex - The exercise or break object.
+ * @returns {object} The exercise in multi-set shape.
  */
-const $ = id => document.getElementById(id);
+function normalizeExercise(ex) {
+	if (!ex || ex.type === 'break' || Array.isArray(ex.sets)) return ex;
+	const { reps, weights, weight, dropset, difficulty, ...rest } = ex;
+	return {
+		...rest,
+		type: 'exercise',
+		sets: [{
+			reps,
+			weights: Array.isArray(weights) ? weights : [weights ?? weight ?? 0],
+			dropset: !!dropset,
+			difficulty,
+			time: ex.time
+		}]
+	};
+}
 
 /**
- * Creates a DOM element with properties and children.
- * @param {string} tag - The HTML tag name.
- * @param {object} [props={}] - Properties to set on the element.
- * @param {...(HTMLElement|string|null)} children - Child nodes to append.
- * @returns {HTMLElement} The created element.
+ * Upgrades every exercise of a workout to the multi-set shape.
+ * @param {object} w - The workout object.
+ * @returns {object} The same workout, with normalized exercises.
  */
-const create = (tag, props = {}, ...children) => {
-	const el = document.createElement(tag);
-	Object.entries(props).forEach(([k, v]) => {
-		if (k === 'class') el.className = v;
-		else if (k === 'html') el.innerHTML = v;
-		else if (k.startsWith('data-')) el.dataset[k.slice(5)] = v;
-		else el[k] = v;
-	});
-	children.forEach(c => { 
-		if (c == null) return; 
-		if (typeof c === 'string') el.appendChild(document.createTextNode(c)); 
-		else el.appendChild(c); 
-	});
-	return el;
-};
+function normalizeWorkout(w) {
+	if (w && Array.isArray(w.exercises)) {
+		w.exercises = w.exercises.map(normalizeExercise);
+	}
+	return w;
+}
 
-// ==========================================================================
-//  Custom Modal (replaces alert/confirm)
-// ==========================================================================
+/**
+ * Copies an exercise or break with its planned values only (no logged times).
+ * @param {object} item - The exercise or break object.
+ * @returns {object} A new object without timing fields.
+ */
+function plannedCopy(item) {
+	const group = item.group ? { group: item.group } : {};
+	const catalogId = item.catalogId ? { catalogId: item.catalogId } : {};
+	if (item.type === 'break') {
+		return { type: 'break', duration: parseInt(item.duration || item.plannedDuration || 0, 10) || 60, ...group };
+	}
+	const ex = normalizeExercise(item);
+	return {
+		type: 'exercise',
+		name: ex.name || '',
+		unit: ex.unit,
+		sets: (ex.sets || []).map(({ time, ...set }) => ({ ...set, weights: [...(set.weights || [])] })),
+		...catalogId,
+		...group
+	};
+}
 
 /**
- * Shows a custom modal dialog.
- * @param {string} text - The message to display.
- * @param {function} [onConfirm] - Callback if the 'OK' button is pressed.
- * @param {function} [onCancel] - Callback if 'Cancel' is pressed. If provided, the 'Cancel' button is shown.
+ * Collects the supersets and circuits of a workout. Exercises sharing a `group`
+ * ID take turns set by set, one round per set, and a break with the same ID is
+ * the rest after each round but the last.
+ * @param {Array<object>} [items=[]] - The workout's exercises and breaks.
+ * @returns {Map<string, {exercises: Array<object>, rest: object|null, rounds: number}>} The groups by ID, in workout order.
  */
-function showModal(text, onConfirm, onCancel) {
-	$('modalText').textContent = text;
-	App.modal.onConfirm = onConfirm || null;
-	App.modal.onCancel = onCancel || null;
-	
-	$('modalCancelBtn').style.display = onCancel ? 'inline-block' : 'none';
-	$('modalOverlay').style.display = 'flex';
+function workoutGroups(items = []) {
+	const groups = new Map();
+	items.forEach(item => {
+		if (!item.group) return;
+		if (!groups.has(item.group)) groups.set(item.group, { exercises: [], rest: null, rounds: 0 });
+		const group = groups.get(item.group);
+		if (item.type === 'break') {
+			group.rest = group.rest || item;
+		} else {
+			group.exercises.push(item);
+			group.rounds = Math.max(group.rounds, (item.sets || []).length);
+		}
+	});
+	return groups;
 }
 
-/** Hides the custom modal. */
-function hideModal() {
-	$('modalOverlay').style.display = 'none';
-	App.modal.onConfirm = null;
-	App.modal.onCancel = null;
+/**
+ * Seconds of rest a break stands for. A group's rest comes round after every
+ * round but the last, so if its time wasn't logged, the planned duration
+ * counts once per round in between.
+ * @param {object} br - The break.
+ * @param {Map<string, object>} groups - The workout's groups, see workoutGroups().
+ * @returns {number} The seconds.
+ */
+function restSeconds(br, groups) {
+	const logged = parseInt(br.time || 0, 10) || 0;
+	const duration = parseInt(br.duration || 0, 10) || 0;
+	if (logged) return logged;
+	const group = br.group ? groups.get(br.group) : null;
+	return group && group.rest === br ? duration * Math.max(0, group.rounds - 1) : duration;
 }
 
-// ==========================================================================
-//  Appearance (Theme)
-// ==========================================================================
+/**
+ * Describes a group for display, e.g. "Superset · 4 rounds · 90 s rest".
+ * @param {number} exerciseCount - The number of exercises in the group.
+ * @param {number} rounds - The number of rounds.
+ * @param {number} [rest=0] - Planned seconds of rest after each round.
+ * @returns {string} The description.
+ */
+function describeGroup(exerciseCount, rounds, rest = 0) {
+	const parts = [exerciseCount > 2 ? 'Circuit' : 'Superset', `${rounds} round${rounds === 1 ? '' : 's'}`];
+	if (rest) parts.push(`${rest} s rest`);
+	return parts.join(' · ');
+}
 
-/** Applies the correct 'light', 'dark', or 'system' theme to the body. */
-function applyAppearance() {
-	let newAppearance = App.settings.appearance;
-	if (newAppearance === 'system') {
-		newAppearance = MQL_DARK.matches ? 'dark' : 'light';
-	}
-	document.body.classList.toggle('dark', newAppearance === 'dark');
+/**
+ * Computes the load (weight x reps) of a single set. A dropset stores one
+ * weight per rep, so its load is the sum of those weights.
+ * @param {object} set - The set object.
+ * @returns {number} The set volume.
+ */
+function setVolume(set) {
+	const weights = (Array.isArray(set.weights) ? set.weights : [set.weights]).map(w => parseFloat(w || 0) || 0);
+	if (set.dropset) return weights.reduce((a, b) => a + b, 0);
+	return (weights[0] || 0) * (parseInt(set.reps || 0, 10) || 0);
 }
 
+/**
+ * Computes the total load of an exercise across all of its sets.
+ * @param {object} ex - The exercise object.
+ * @returns {number} The exercise volume.
+ */
+const exerciseVolume = ex => (ex.sets || []).reduce((sum, set) => sum + setVolume(set), 0);
+
 // ==========================================================================
-//  Workout Row (Card) Construction
+//  Units
 // ==========================================================================
 
+const KG_PER_LB = 0.45359237;
+
 /**
- * Finds or creates the time display span in a card's action rail.
- * @param {HTMLElement} card - The workout card element.
- * @returns {HTMLElement} The time display span element.
+ * Reads a unit as written anywhere (stored workouts, CSV files, settings).
+ * @param {string} unit - E.g. 'kg', 'lb', 'Lbs', 'pounds'.
+ * @returns {string|null} 'kg' or 'lbs', or null if it isn't a known unit.
  */
-function ensureTimeCell(card) {
-	let rail = card.querySelector('.card-action-rail');
-	if (!rail) {
-		rail = create('div', { class: 'card-action-rail' });
-		card.prepend(rail);
-	}
-	let timeCell = rail.querySelector('.time-cell');
-	if (!timeCell) {
-		timeCell = create('div', { class: 'time-cell' });
-		const display = create('span', { class: 'time-display', 'data-seconds': 0 }, fmtTime(0));
-		timeCell.appendChild(display);
-		rail.appendChild(timeCell);
-	}
-	return rail.querySelector('.time-display');
+function normalizeUnit(unit) {
+	const u = String(unit || '').trim().toLowerCase();
+	if (/^(kg|kgs|kilo|kilos|kilograms?)$/.test(u)) return 'kg';
+	if (/^(lb|lbs|pounds?)$/.test(u)) return 'lbs';
+	return null;
 }
 
 /**
- * Creates and appends a "Done" button (checkmark) to a card's action rail.
- * @param {HTMLElement} card - The workout card element.
- * @returns {HTMLElement} The created button element.
+ * The unit an exercise was logged in; exercises without one use the default unit.
+ * @param {object} ex - The exercise object.
+ * @returns {string} 'kg' or 'lbs'.
  */
-function createDoneButton(card) {
-	let rail = card.querySelector('.card-action-rail');
-	if (!rail) {
-		rail = create('div', { class: 'card-action-rail' });
-		card.prepend(rail);
-	}
-	
-	// Remove existing button if any
-	let oldBtn = rail.querySelector('.row-done-btn');
-	if (oldBtn) oldBtn.remove();
-	
-	// Use checkmark icon
-	const btn = create('button', { 
-		type: 'button', 
-		class: 'row-done-btn',
-		title: 'Mark done',
-		html: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>'
-	});
-	btn.addEventListener('click', () => completeRow(card));
-	rail.appendChild(btn);
-	return btn;
+const exerciseUnit = ex => normalizeUnit(ex.unit) || normalizeUnit(App.settings.defaultUnit) || 'kg';
+
+/**
+ * Converts a weight (or anything linear in weight, such as volume or an e1RM)
+ * between units. Every place that compares or sums weights across exercises
+ * goes through here, so kg and lbs are never mixed.
+ * @param {number} value - The value in `from` units.
+ * @param {string} from - The unit the value is in.
+ * @param {string} to - The unit to convert to.
+ * @returns {number} The converted value.
+ */
+function convertWeight(value, from, to) {
+	value = parseFloat(value) || 0;
+	from = normalizeUnit(from) || 'kg';
+	to = normalizeUnit(to) || 'kg';
+	if (from === to) return value;
+	return from === 'kg' ? value / KG_PER_LB : value * KG_PER_LB;
 }
 
 /**
- * Wires up event listeners for inputs within a card (slider, dropset checkbox, etc.).
- * @param {HTMLElement} card - The workout card element.
+ * The unit a logged weight is shown in: the default unit when history is
+ * displayed converted (App.settings.historyUnits === 'default'), else as logged.
+ * @param {string} unit - The unit the weight was logged in.
+ * @returns {string} 'kg' or 'lbs'.
  */
-function wireRowControls(card) {
-	const slider = card.querySelector('.difficulty-slider');
-	const sliderVal = card.querySelector('.difficulty-value');
-	if (slider && sliderVal) {
-		slider.addEventListener('input', () => { sliderVal.textContent = slider.value; });
-	}
+const displayUnit = unit => App.settings.historyUnits === 'default'
+	? normalizeUnit(App.settings.defaultUnit) || 'kg'
+	: normalizeUnit(unit) || normalizeUnit(App.settings.defaultUnit) || 'kg';
 
-	const dropsetCb = card.querySelector('.dropset-checkbox');
-	if (dropsetCb) {
-		dropsetCb.addEventListener('change', e => toggleDropSet(e.target));
-	}
+/**
+ * Converts a logged weight for display, see displayUnit().
+ * @param {number} value - The weight in `unit`.
+ * @param {string} unit - The unit the weight was logged in.
+ * @returns {number} The weight in the display unit, rounded to one decimal.
+ */
+const displayWeight = (value, unit) => roundTenth(convertWeight(value, unit, displayUnit(unit)));
 
-	const repsInput = card.querySelector('.reps-field input[type="number"]');
-	if (repsInput) {
-		repsInput.addEventListener('input', () => updateDropSetInputs(repsInput));
-	}
+/**
+ * Permanently converts every logged weight in history to one unit. Weights are
+ * kept to two decimals so a round trip doesn't drift visibly.
+ * @param {string} to - The unit to convert to.
+ * @returns {number} The number of exercises that were converted.
+ */
+function convertHistoryWeights(to) {
+	let count = 0;
+	App.workouts.forEach(w => (w.exercises || []).forEach(ex => {
+		if (ex.type === 'break') return;
+		const from = exerciseUnit(ex);
+		if (from !== to) {
+			(ex.sets || []).forEach(set => {
+				set.weights = (set.weights || []).map(v => Math.round(convertWeight(v, from, to) * 100) / 100);
+			});
+			count++;
+		}
+		ex.unit = to;
+	}));
+	return count;
 }
 
 /**
- * Adds a new exercise card to the planning list.
- * @param {object} [ex={}] - An optional exercise object to pre-fill the card.
+ * After the default unit changes, offers to show history weights in the new
+ * unit, and then to convert them permanently. Otherwise weights keep showing
+ * in the unit they were logged in.
+ * @param {string} unit - The new default unit.
  */
-function addExercise(ex = {}) {
-	const container = $('workoutListContainer');
-	const card = create('div', { class: 'workout-card exercise-card' });
+function offerHistoryUnitConversion(unit) {
+	const other = App.workouts.some(w => (w.exercises || []).some(ex => ex.type !== 'break' && exerciseUnit(ex) !== unit));
+	if (!other) return;
+
+	const refresh = () => {
+		$('historyUnits').value = App.settings.historyUnits;
+		renderHistory();
+		renderProgress();
+	};
+	showModal(
+		`Some workouts were logged in ${unit === 'kg' ? 'lbs' : 'kg'}. Show all history weights in ${unit}?`,
+		() => {
+			App.settings.historyUnits = 'default';
+			saveSettings();
+			refresh();
+			showModal(
+				`Also convert those weights to ${unit} permanently? This rewrites your saved history; ` +
+				`otherwise they are only displayed in ${unit}.`,
+				() => {
+					const before = snapshotData();
+					const count = convertHistoryWeights(unit);
+					recomputeRecords();
+					saveWorkouts();
+					markHistoryDirty();
+					refresh();
+					recordDataChange(`Weights converted to ${unit}`, before);
+					showModal(`Converted ${count} exercise${count === 1 ? '' : 's'} to ${unit}.`);
+				},
+				() => {}
+			);
+		},
+		() => {
+			App.settings.historyUnits = 'logged';
+			saveSettings();
+			refresh();
+		}
+	);
+}
 
-	// Create the rail and content wrapper
-	const rail = create('div', { class: 'card-action-rail' });
-	const contentWrapper = create('div', { class: 'card-content' });
-	card.appendChild(rail);
-	card.appendChild(contentWrapper);
+// ==========================================================================
+//  Storage Schema & Migrations
+// ==========================================================================
 
-	// Get values or set defaults
-	const name = escapeHtml(ex.name || '');
-	const reps = ex.reps ?? 10;
-	const difficulty = ex.difficulty ?? 5;
-	const unit = (ex.unit || App.settings.defaultUnit) === 'kg' ? 'kg' : 'lbs';
-	const dropset = !!ex.dropset;
+/**
+ * Reads and parses a JSON value from localStorage. If the stored text is
+ * corrupt (or has the wrong shape), a copy is set aside under a
+ * `<key>_corrupt_<timestamp>` key and the fallback is used, so the app can still boot.
+ * @param {string} key - The storage key.
+ * @param {*} fallback - The value to use when nothing (valid) is stored.
+ * @param {function(*): boolean} [isValid] - Checks the parsed value's shape.
+ * @returns {*} The parsed value, or the fallback.
+ */
+function readStoredJSON(key, fallback, isValid = () => true) {
+	const raw = localStorage.getItem(key);
+	if (raw == null) return fallback;
 
-	// Card structure (now goes into contentWrapper)
-	let html = `
-		<div class="card-header">
-			<div class="card-title">
-				<input type="text" class="exercise-name-input" placeholder="Exercise" value="${name}">
-			</div>
-		</div>
-		<div class="card-body">
-			<div class="card-row">
-				<div class="card-field reps-field">
-					<label>Reps</label>
-					<input type="number" min="1" value="${reps}">
-				</div>
-				
-				<div class="card-field weight-field">
-					<label>Weight</label>
-					<div class="weight-line">
-						<input type="number" min="0" class="single-weight" value="${dropset ? '' : (Array.isArray(ex.weights) ? (ex.weights[0] ?? 0) : (ex.weight ?? 0))}">
-						<select class="unit-select">
-							<option value="kg"${unit === 'kg' ? ' selected' : ''}>kg</option>
-							<option value="lbs"${unit === 'lbs' ? ' selected' : ''}>lbs</option>
-						</select>
-					</div>
-				</div>
-			</div>
+	let error;
+	try {
+		const value = JSON.parse(raw);
+		if (value != null && isValid(value)) return value;
+		if (value == null) return fallback;
+		error = 'unexpected data shape';
+	} catch (err) {
+		error = err.message;
+	}
 
-			<div class="card-field dropset-field">
-				<label class="dropset-label"><input type="checkbox" class="dropset-checkbox"${dropset ? ' checked' : ''}> Enable Dropset</label>
-				<div class="dropset-inputs" style="display:${dropset ? '' : 'none'}"></div>
-			</div>
+	const backupKey = `${key}_corrupt_${Date.now()}`;
+	let backedUp = true;
+	try {
+		localStorage.setItem(backupKey, raw);
+	} catch (err) {
+		backedUp = false; // Probably out of quota; the raw text is still offered for download
+	}
+	console.error(`Could not read ${key}:`, error);
+	storageRecovery.push({ key, backupKey: backedUp ? backupKey : null, raw, error });
+	return fallback;
+}
 
-			<div class="card-field diff-field">
-				<label>Difficulty (RPE 1-10)</label>
-				<div class="difficulty-control">
-					<input type="range" min="1" max="10" value="${difficulty}" class="difficulty-slider">
-					<span class="difficulty-value">${difficulty}</span>
-				</div>
-			</div>
-			
-		</div>
-	`;
-	contentWrapper.innerHTML = html;
+/**
+ * Tells the user about any stored data that could not be read, offering the raw text for download.
+ * @param {function} [onDone] - Called once the notice is dismissed (or right away if there is none).
+ */
+function reportStorageRecovery(onDone = () => {}) {
+	if (!storageRecovery.length) {
+		onDone();
+		return;
+	}
 
-	// Add remove button to the rail
-	const removeBtn = create('button', { 
-		type: 'button', 
-		class: 'row-remove-btn', 
-		title: 'Remove row',
-		html: '<svg><use href="#icon-trash"></use></svg>' 
-	});
-	removeBtn.addEventListener('click', () => card.remove());
-	rail.appendChild(removeBtn);
+	const keys = storageRecovery.map(r => r.key).join(', ');
+	showModal(
+		`Some saved data (${keys}) was damaged and could not be loaded, so it was reset. ` +
+		'Download the damaged data so it can be repaired?',
+		() => {
+			storageRecovery.forEach(r => {
+				const blob = new Blob([r.raw], { type: 'text/plain;charset=utf-8;' });
+				const link = document.createElement('a');
+				link.href = URL.createObjectURL(blob);
+				link.download = `${r.key}_damaged.txt`;
+				link.click();
+				URL.revokeObjectURL(link.href);
+			});
+			onDone();
+		},
+		onDone
+	);
+}
 
-	// Add duplicate button to the rail
-	const dupBtn = create('button', { 
-		type: 'button', 
-		class: 'row-dup-btn', 
-		title: 'Duplicate',
-		html: '<svg><use href="#icon-duplicate"></use></svg>' 
-	});
-	dupBtn.addEventListener('click', () => {
-		// Read current card values and call addExercise to append a copy
-		const nameVal = card.querySelector('.exercise-name-input')?.value || '';
-		const repsVal = parseInt(card.querySelector('.reps-field input')?.value || 0, 10) || 0;
-		const isDropset = !!card.querySelector('.dropset-checkbox')?.checked;
-		const weightsVal = isDropset
-			? Array.from(card.querySelectorAll('.dropset-inputs input')).map(i => i.value || 0)
-			: [card.querySelector('.single-weight')?.value || 0];
-		const unitVal = card.querySelector('.unit-select')?.value || App.settings.defaultUnit;
-		const diffVal = parseInt(card.querySelector('.difficulty-slider')?.value || 0, 10) || 0;
-
-		addExercise({ type: 'exercise', name: nameVal, reps: repsVal, weights: weightsVal, unit: unitVal, dropset: isDropset, difficulty: diffVal });
-	});
-	rail.appendChild(dupBtn);
+/**
+ * Works out the order of day, month and year in this device's locale, which is
+ * the order legacy `toLocaleString()` dates were written in.
+ * @returns {string} 'mdy', 'dmy' or 'ymd'.
+ */
+function localeDateOrder() {
+	const parts = new Intl.DateTimeFormat().formatToParts(new Date(2001, 10, 22));
+	const order = parts.filter(p => ['day', 'month', 'year'].includes(p.type)).map(p => p.type[0]).join('');
+	return ['mdy', 'dmy', 'ymd'].includes(order) ? order : 'mdy';
+}
 
-	// If workout is active, add timer and done button
-	if (App.workoutStarted) {
-		ensureTimeCell(card);
-		createDoneButton(card);
-		rail.classList.add('workout-active');
+/**
+ * Converts a stored date (ISO string, or a legacy locale-formatted string such as
+ * "1/31/2025, 6:05:00 PM" or "31.01.2025, 18:05:00") into an ISO timestamp.
+ * @param {string} value - The stored date.
+ * @returns {string|null} The ISO timestamp, or null if it can't be understood.
+ */
+function parseStoredDate(value) {
+	if (!value) return null;
+	const str = String(value).trim();
+	if (/^\d{4}-\d{2}-\d{2}T/.test(str)) {
+		const t = Date.parse(str);
+		return isNaN(t) ? null : new Date(t).toISOString();
 	}
-	
-	wireRowControls(card);
 
-	// Restore dropset values if provided
-	if (dropset && Array.isArray(ex.weights) && ex.weights.length) {
-		const cb = card.querySelector('.dropset-checkbox');
-		if (cb) toggleDropSet(cb, ex.weights);
+	const m = str.match(/^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[,\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?)?/i);
+	if (m) {
+		const [a, b, c] = [m[1], m[2], m[3]].map(Number);
+		let order = m[1].length === 4 ? 'ymd' : localeDateOrder();
+		if (order === 'mdy' && a > 12) order = 'dmy'; // Can't be a month, so it was written day first
+		else if (order === 'dmy' && b > 12) order = 'mdy';
+		const [y, mo, d] = order === 'ymd' ? [a, b, c] : order === 'dmy' ? [c, b, a] : [c, a, b];
+		let h = Number(m[4] || 0);
+		const meridiem = (m[7] || '').toLowerCase();
+		if (meridiem === 'p' && h < 12) h += 12;
+		if (meridiem === 'a' && h === 12) h = 0;
+		const date = new Date(y < 100 ? 2000 + y : y, mo - 1, d, h, Number(m[5] || 0), Number(m[6] || 0));
+		return isNaN(date.getTime()) ? null : date.toISOString();
 	}
 
-	// Restore time if provided (e.g., from history)
-	if (ex.time != null) {
-		ensureTimeCell(card);
-	}
-	
-	container.appendChild(card);
+	const t = Date.parse(str);
+	return isNaN(t) ? null : new Date(t).toISOString();
 }
 
 /**
- * Adds a new break card to the planning list.
- * @param {object} [br={}] - An optional break object to pre-fill the card.
+ * Formats a workout's date for display, falling back to its legacy text.
+ * @param {object} w - The workout object.
+ * @returns {string} The localized date and time.
  */
-function addBreak(br = {}) {
-	const container = $('workoutListContainer');
-	const card = create('div', { class: 'workout-card break-card' });
-
-	// Create the rail and content wrapper
-	const rail = create('div', { class: 'card-action-rail' });
-	const contentWrapper = create('div', { class: 'card-content' });
-	card.appendChild(rail);
-	card.appendChild(contentWrapper);
-
-	const duration = parseInt(br.duration || br.plannedDuration || 60, 10) || 60;
-	
-	// Store timer-related data directly on the DOM node
-	card.dataset.plannedDuration = duration;
-	card._timeLeft = duration;
-	card._elapsed = br.time != null ? parseInt(br.time, 10) || 0 : 0;
-	card._countdown = null; // Stores the interval ID for the countdown
+const formatWorkoutDate = w => w.date ? new Date(w.date).toLocaleString() : (w.legacyDate || 'Unknown date');
 
-	let html = `
-		<div class="card-body break-body">
-			Break: <input type="number" min="1" value="${duration}"> sec
-		</div>
-	`;
-	contentWrapper.innerHTML = html;
-	
-	// Add remove button
-	const remBtn = create('button', { 
-		type: 'button', 
-		class: 'row-remove-btn', 
-		title: 'Remove break',
-		html: '<svg><use href="#icon-trash"></use></svg>'
+/**
+ * Converts the planned and logged values of an exercise or break to numbers.
+ * @param {object} ex - The exercise or break object.
+ * @returns {object} The same object, with numeric values.
+ */
+function normalizeNumbers(ex) {
+	const int = v => parseInt(v || 0, 10) || 0;
+	if (ex.type === 'break') {
+		ex.duration = int(ex.duration);
+		if (ex.time != null) ex.time = int(ex.time);
+		return ex;
+	}
+	(ex.sets || []).forEach(set => {
+		set.reps = int(set.reps);
+		set.weights = (Array.isArray(set.weights) ? set.weights : [set.weights]).map(w => parseFloat(w || 0) || 0);
+		set.difficulty = int(set.difficulty);
+		if (set.time != null) set.time = int(set.time);
 	});
-	remBtn.addEventListener('click', () => card.remove());
-	rail.appendChild(remBtn);
+	if (ex.time != null) ex.time = int(ex.time);
+	return ex;
+}
 
-	// If workout is active, add timer and done button
-	if (App.workoutStarted) {
-		ensureTimeCell(card);
-		createDoneButton(card);
-		rail.classList.add('workout-active');
-	}
-	
-	// Restore time display if pre-filled
-	if (br.time != null) {
-		const timeDisplay = ensureTimeCell(card);
-		timeDisplay.dataset.seconds = card._elapsed;
-		timeDisplay.textContent = fmtTime(card._elapsed);
+/**
+ * Brings a workout from any older format (legacy storage, old CSV files) up to
+ * the current schema: multi-set exercises, a stable ID, an ISO date and numeric values.
+ * @param {object} w - The workout object.
+ * @returns {object} The same workout, upgraded.
+ */
+function upgradeWorkout(w) {
+	normalizeWorkout(w);
+	if (!w.id) w.id = makeId('w');
+	if (w.date && !/^\d{4}-\d{2}-\d{2}T/.test(w.date)) {
+		const iso = parseStoredDate(w.date);
+		if (!iso) w.legacyDate = w.date;
+		w.date = iso;
 	}
-	
-	container.appendChild(card);
+	w.totalTime = parseInt(w.totalTime || 0, 10) || 0;
+	w.exercises = (w.exercises || []).map(normalizeNumbers);
+	w.exercises.forEach(ex => { if (ex.type !== 'break') ex.unit = exerciseUnit(ex); });
+	w.exercises.forEach(linkCatalog);
+	return w;
 }
 
-// ==========================================================================
-//  Dropset Helpers
-// ==========================================================================
-
 /**
- * Toggles the visibility of dropset weight inputs based on the checkbox.
- * @param {HTMLInputElement} checkbox - The "Enable Dropset" checkbox.
- * @param {Array<number>} [restoreValues=[]] - Optional array of weights to pre-fill.
+ * Ordered storage migrations. Each one upgrades `data` ({workouts, routines})
+ * from the previous version to its own; the runner applies those newer than
+ * the stored version.
  */
-function toggleDropSet(checkbox, restoreValues = []) {
-	const card = checkbox.closest('.workout-card');
-	if (!card) return;
-	
-	const dropsetContainer = card.querySelector('.dropset-inputs');
-	const singleWeight = card.querySelector('.single-weight');
-	const repsInput = card.querySelector('.reps-field input[type="number"]');
-	if (!dropsetContainer || !singleWeight || !repsInput) return;
-
-	dropsetContainer.innerHTML = '';
-
-	if (checkbox.checked) {
-		dropsetContainer.style.display = 'grid';
-		singleWeight.style.display = 'none';
-		const count = Math.max(1, parseInt(repsInput.value || 1, 10));
-		for (let i = 0; i < count; i++) {
-			const val = (restoreValues[i] != null) ? restoreValues[i] : (i === 0 && singleWeight.value ? singleWeight.value : 0);
-			const w = create('input', { type: 'number', min: '0', value: val });
-			dropsetContainer.appendChild(w);
+const MIGRATIONS = [
+	{
+		version: 1,
+		description: 'Single-set exercises become multi-set exercises',
+		up: data => { data.workouts.forEach(normalizeWorkout); }
+	},
+	{
+		version: 2,
+		description: 'Stable IDs, ISO dates and numeric weights',
+		up: data => {
+			data.workouts.forEach(upgradeWorkout);
+			data.routines.forEach(r => { r.items = (r.items || []).map(normalizeExercise).map(normalizeNumbers); });
 		}
-	} else {
-		dropsetContainer.style.display = 'none';
-		singleWeight.style.display = '';
-		if (restoreValues.length) {
-			singleWeight.value = restoreValues[0];
+	},
+	{
+		version: 3,
+		description: 'Personal records stored with each workout',
+		up: data => { recomputeRecords(data.workouts); }
+	},
+	{
+		version: 4,
+		description: 'Every exercise records the unit it was logged in',
+		up: data => {
+			// Until now a missing unit meant "the default unit", which changes meaning with the setting
+			const fill = ex => { if (ex && ex.type !== 'break') ex.unit = exerciseUnit(ex); };
+			data.workouts.forEach(w => w.exercises.forEach(fill));
+			data.routines.forEach(r => r.items.forEach(fill));
+			recomputeRecords(data.workouts);
+		}
+	},
+	{
+		version: 5,
+		description: 'Exercises linked to the exercise catalog',
+		up: data => {
+			data.workouts.forEach(w => w.exercises.forEach(linkCatalog));
+			data.routines.forEach(r => r.items.forEach(linkCatalog));
+			// Records are kept per catalog exercise from now on, see exerciseKey()
+			recomputeRecords(data.workouts);
 		}
 	}
-}
+];
 
 /**
- * Updates the number of dropset inputs to match the reps input.
- * @param {HTMLInputElement} repsInput - The reps input field.
+ * Applies the migrations newer than `fromVersion` to a set of data, e.g. the
+ * stored data or a backup file written by an older version of the app.
+ * @param {object} data - {workouts, routines}; upgraded in place.
+ * @param {number} fromVersion - The schema version the data is in.
+ * @returns {object} The same data, now at SCHEMA_VERSION.
  */
-function updateDropSetInputs(repsInput) {
-	const card = repsInput.closest('.workout-card');
-	if (!card) return;
-	
-	const dropsetCb = card.querySelector('.dropset-checkbox');
-	if (!dropsetCb || !dropsetCb.checked) return;
-	
-	const container = card.querySelector('.dropset-inputs');
-	if (!container) return;
-
-	const currentInputs = Array.from(container.querySelectorAll('input'));
-	const newCount = Math.max(1, parseInt(repsInput.value || 1, 10));
+function migrateData(data, fromVersion) {
+	MIGRATIONS.filter(m => m.version > fromVersion).forEach(m => m.up(data));
+	return data;
+}
 
-	if (currentInputs.length < newCount) {
-		// Add new inputs
-		const lastVal = currentInputs.length ? currentInputs[currentInputs.length - 1].value : 0;
-		for (let i = currentInputs.length; i < newCount; i++) {
-			const w = create('input', { type: 'number', min: '0', value: lastVal || 0 });
-			container.appendChild(w);
-		}
-	} else if (currentInputs.length > newCount) {
-		// Remove extra inputs
-		for (let i = currentInputs.length - 1; i >= newCount; i--) {
-			container.removeChild(currentInputs[i]);
-		}
+/** Upgrades stored workouts and routines to SCHEMA_VERSION, saving the result. */
+function runMigrations() {
+	const stored = parseInt(localStorage.getItem(STORAGE_SCHEMA_KEY) || 0, 10) || 0;
+	if (stored > SCHEMA_VERSION) {
+		console.warn(`Stored data is schema ${stored}, newer than this app (${SCHEMA_VERSION}); leaving it as is.`);
+		return;
 	}
+
+	// Drop anything that isn't a workout at all, instead of failing later
+	App.workouts = App.workouts.filter(w => w && typeof w === 'object' && Array.isArray(w.exercises));
+	App.routines = App.routines.filter(r => r && typeof r === 'object' && Array.isArray(r.items));
+
+	if (stored === SCHEMA_VERSION) return;
+
+	const data = migrateData({ workouts: App.workouts, routines: App.routines }, stored);
+	App.workouts = data.workouts;
+	App.routines = data.routines;
+
+	saveWorkouts();
+	saveRoutines();
+	localStorage.setItem(STORAGE_SCHEMA_KEY, String(SCHEMA_VERSION));
 }
 
 // ==========================================================================
-//  Row Timers (Stopwatch)
+//  Workout Store (IndexedDB)
 // ==========================================================================
 
+// Each workout is its own record, so a change only rewrites what changed; see
+// workoutRecord(). The app reads the history with getWorkout() and
+// queryWorkouts(), which look workouts up through the store's date and exercise
+// indexes, and changes it with putWorkouts() and deleteWorkouts(). App.workouts
+// is the store's in-memory copy: saveWorkouts() writes what changed in it.
+const workoutStore = {
+	db: null, // Open IDBDatabase, or null to fall back to localStorage
+	legacyDb: null, // Open IDBDatabase the localStorage history is yet to be moved to, see moveLegacyWorkouts()
+	loadError: null, // Why the store couldn't be opened or read, see reportWorkoutStoreError()
+	persisted: new Map(), // id -> {seq, json} as last written, see saveWorkouts()
+	resync: false, // A write failed, so the next save rewrites everything
+	pending: Promise.resolve() // Writes run one after another
+};
+
 /**
- * Starts a stopwatch timer for a specific row (card).
- * @param {number} index - The index of the card in the list.
+ * Wraps an IndexedDB request or transaction in a promise.
+ * @param {IDBRequest|IDBTransaction} req - The request or transaction.
+ * @returns {Promise<*>} The request's result, once the transaction is complete.
  */
-function startRowTimer(index) {
-	const cards = Array.from($('workoutListContainer').children);
-	if (index < 0 || index >= cards.length) return;
-	
-	// Stop other active timer
-	if (App.activeRowIndex !== null && App.activeRowIndex !== index) {
-		stopRowTimer(App.activeRowIndex);
-	}
+function idbDone(req) {
+	return new Promise((resolve, reject) => {
+		if (req instanceof IDBTransaction) {
+			req.oncomplete = () => resolve();
+			req.onabort = req.onerror = () => reject(req.error || new Error('Transaction aborted'));
+		} else {
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		}
+	});
+}
 
-	const card = cards[index];
-	const display = ensureTimeCell(card);
-	let elapsed = parseInt(display.dataset.seconds || '0', 10) || 0;
+/**
+ * The 'exercise' index entries of a workout: the lower-cased name of each
+ * exercise, and the catalog ID of linked ones. They only depend on the workout
+ * itself, so they stay right when the catalog changes; see exerciseIndexKeys().
+ * @param {object} workout - The workout.
+ * @returns {Array<string>} The entries.
+ */
+const exerciseIndexEntries = workout => [...new Set((workout.exercises || []).filter(ex => ex.type !== 'break')
+	.flatMap(ex => [`name:${(ex.name || '').trim().toLowerCase()}`, ...(ex.catalogId ? [`id:${ex.catalogId}`] : [])]))];
 
-	if (App.rowTimers[index]) clearInterval(App.rowTimers[index]);
-	
-	App.rowTimers[index] = setInterval(() => {
-		elapsed++;
-		display.dataset.seconds = elapsed;
-		display.textContent = fmtTime(elapsed);
-	}, 1000);
+/**
+ * The 'exercise' index entries under which workouts with an exercise are found.
+ * @param {string} key - The exercise, see exerciseKey().
+ * @returns {Array<string>} The entries of catalog exercises with that name, and of the name itself.
+ */
+const exerciseIndexKeys = key => [
+	...[...indexCatalog().byId.values()].filter(entry => entry.name === key).map(entry => `id:${entry.id}`),
+	`name:${key.toLowerCase()}`
+];
 
-	App.activeRowIndex = index;
-}
+/**
+ * Builds the stored record for a workout.
+ * @param {object} workout - The workout.
+ * @param {number} seq - Its place in the history, see saveWorkouts().
+ * @returns {object} {id, seq, date (timestamp, none if unknown), exercises (see exerciseIndexEntries()), workout}.
+ */
+const workoutRecord = (workout, seq) => {
+	const date = Date.parse(workout.date);
+	return { id: workout.id, seq, date: isNaN(date) ? undefined : date, exercises: exerciseIndexEntries(workout), workout };
+};
 
 /**
- * Stops the stopwatch timer for a specific row.
- * @param {number} index - The index of the card in the list.
+ * Opens the workout database and loads App.workouts from it. Workouts found in
+ * localStorage (wt_workouts_v1) stay there until runMigrations() has upgraded
+ * them, then moveLegacyWorkouts() moves them: either the history from before
+ * IndexedDB, or workouts saved while the store couldn't be opened. The latter
+ * are merged with the stored history by ID, the localStorage copy winning as
+ * it's the newer one. If IndexedDB is unavailable (e.g. some private browsing
+ * modes) or fails, workouts stay in localStorage.
+ * @returns {Promise<void>}
  */
-function stopRowTimer(index) {
-	if (App.rowTimers[index]) {
-		clearInterval(App.rowTimers[index]);
-		App.rowTimers[index] = null;
+async function openWorkoutStore() {
+	if (typeof indexedDB === 'undefined') {
+		console.warn('Keeping workouts in localStorage: IndexedDB is not supported');
+		return;
 	}
-	if (App.activeRowIndex === index) {
-		App.activeRowIndex = null;
+	let db, records;
+	try {
+		const open = indexedDB.open(WORKOUT_DB_NAME, WORKOUT_DB_VERSION);
+		open.onupgradeneeded = () => {
+			const store = open.result.createObjectStore('workouts', { keyPath: 'id' });
+			store.createIndex('seq', 'seq');
+			store.createIndex('date', 'date');
+			store.createIndex('exercise', 'exercises', { multiEntry: true });
+		};
+		db = await idbDone(open);
+		records = await idbDone(db.transaction('workouts').objectStore('workouts').index('seq').getAll());
+	} catch (err) {
+		// Saves go to localStorage meanwhile, and are merged into the store once it opens again
+		db?.close();
+		workoutStore.loadError = err;
+		console.warn('Keeping workouts in localStorage:', err);
+		return;
+	}
+	// Ask the browser not to evict the history when space runs low
+	navigator.storage?.persist?.().catch(() => {});
+
+	const stored = records.map(r => r.workout);
+	workoutStore.persisted = new Map(records.map(r => [r.id, { seq: r.seq, json: JSON.stringify(r.workout) }]));
+	if (localStorage.getItem(STORAGE_WORKOUTS_KEY) == null) {
+		workoutStore.db = db;
+		App.workouts = stored;
+		return;
 	}
-}
 
-// ==========================================================================
-//  Global Workout Timer
-// ==========================================================================
+	// App.workouts already holds what localStorage had; saves keep going there until it's moved
+	workoutStore.legacyDb = db;
+	if (stored.length) {
+		const newer = new Set(App.workouts.map(w => w.id));
+		const merged = [...stored.filter(w => !newer.has(w.id)), ...App.workouts];
+		const times = workoutTimes(merged);
+		App.workouts = merged.map((w, i) => i).sort((a, b) => (times[a] - times[b]) || (a - b)).map(i => merged[i]);
+	}
+}
 
-/** Starts the global workout timer. */
-function startWorkoutTimer() {
-	const display = $('workoutTotalTimer');
-	// App.workoutSeconds = 0; // --- REMOVED --- This allows resuming
-	if (App.workoutTimerId) clearInterval(App.workoutTimerId);
-	
-	App.workoutTimerId = setInterval(() => {
-		App.workoutSeconds++;
-		display.textContent = 'Total Time: ' + fmtTime(App.workoutSeconds);
-	}, 1000);
+/**
+ * One-time move of the localStorage workouts into the workout store. Runs after
+ * runMigrations(), so every workout has the ID it's stored under. Only what the
+ * store doesn't have yet is written, nothing is cleared; the localStorage copy
+ * is removed once all of it was written. If that fails, workouts stay in
+ * localStorage and the move is tried again on the next launch.
+ * @returns {Promise<void>}
+ */
+async function moveLegacyWorkouts() {
+	const db = workoutStore.legacyDb;
+	if (!db) return;
+	workoutStore.legacyDb = null;
+
+	workoutStore.db = db;
+	if (await saveWorkouts({ report: false })) {
+		localStorage.removeItem(STORAGE_WORKOUTS_KEY);
+		return;
+	}
+	workoutStore.db = null;
+	workoutStore.persisted = new Map();
+	workoutStore.resync = false;
+	console.warn('Could not move workouts to IndexedDB; keeping them in localStorage for now');
 }
 
-/** Stops the global workout timer. */
-function stopWorkoutTimer() {
-	if (App.workoutTimerId) {
-		clearInterval(App.workoutTimerId);
-		App.workoutTimerId = null;
+/**
+ * Tells the user if the stored history couldn't be loaded, so an empty or
+ * short History tab isn't mistaken for lost workouts.
+ * @param {function} [onDone] - Called once the notice is dismissed (or right away if there is none).
+ */
+function reportWorkoutStoreError(onDone = () => {}) {
+	const err = workoutStore.loadError;
+	if (!err) {
+		onDone();
+		return;
 	}
+	showModal(
+		`Your workout history couldn't be loaded (${err.message || err.name || 'unknown error'}), so it isn't shown for now. ` +
+			'Workouts you log meanwhile are kept and added to it once it loads again, usually after reopening the app.',
+		onDone
+	);
 }
 
-// ==========================================================================
-//  Break Countdown Timer
-// ==========================================================================
+/**
+ * Persists App.workouts: only workouts that were added, changed or moved are
+ * written, and removed ones are deleted. After a failed write everything is
+ * written again. Falls back to localStorage without IndexedDB. If storage is
+ * full the change stays in memory and the user is told.
+ * @param {object} [options]
+ * @param {boolean} [options.report=true] - Tell the user if saving fails.
+ * @returns {Promise<boolean>} Resolves true once saved, false if it failed.
+ */
+function saveWorkouts({ report = true } = {}) {
+	if (!workoutStore.db) {
+		try {
+			localStorage.setItem(STORAGE_WORKOUTS_KEY, JSON.stringify(App.workouts));
+			return Promise.resolve(true);
+		} catch (err) {
+			if (report) reportStorageFull(err);
+			return Promise.resolve(false);
+		}
+	}
+
+	// Snapshot now, so later changes wait for the next save
+	const replace = workoutStore.resync;
+	workoutStore.resync = false;
+	const before = replace ? new Map() : workoutStore.persisted;
+	const after = new Map();
+	const writes = [];
+	let lastSeq = -Infinity;
+	App.workouts.forEach(w => {
+		const json = JSON.stringify(w);
+		const prev = before.get(w.id);
+		// Keep a workout's place if it's still in order, so inserting one doesn't renumber the rest
+		const seq = prev && prev.seq > lastSeq ? prev.seq : (Number.isFinite(lastSeq) ? lastSeq + 1 : 0);
+		lastSeq = seq;
+		after.set(w.id, { seq, json });
+		if (!prev || prev.seq !== seq || prev.json !== json) writes.push(workoutRecord(JSON.parse(json), seq));
+	});
+	const deletes = [...before.keys()].filter(id => !after.has(id));
+	workoutStore.persisted = after;
+	if (!replace && !writes.length && !deletes.length) return workoutStore.pending.then(() => true);
+
+	workoutStore.pending = workoutStore.pending.then(async () => {
+		const tx = workoutStore.db.transaction('workouts', 'readwrite');
+		const store = tx.objectStore('workouts');
+		const done = idbDone(tx);
+		try {
+			if (replace) store.clear();
+			deletes.forEach(id => store.delete(id));
+			writes.forEach(record => store.put(record));
+		} catch (err) {
+			// E.g. a record without a key; abort, so the clear (or any other part) isn't committed
+			done.catch(() => {});
+			tx.abort();
+			throw err;
+		}
+		await done;
+		return true;
+	}).catch(err => {
+		// Nothing of this transaction was written; the next save retries all of it
+		workoutStore.persisted = new Map();
+		workoutStore.resync = true;
+		if (report) reportStorageFull(err);
+		return false;
+	});
+	return workoutStore.pending;
+}
 
 /**
- * Starts a countdown timer for a break card.
- * @param {HTMLElement} breakCard - The break card element.
+ * Tells the user a change could not be saved because storage is full (or otherwise failed).
+ * @param {Error} err - The storage error.
  */
-function startBreakCountdown(breakCard) {
-	const cell = breakCard.querySelector('.break-body');
-	if (!cell) return;
+function reportStorageFull(err) {
+	console.error('Saving workouts failed:', err);
+	const full = err && (err.name === 'QuotaExceededError' || err.code === 22);
+	showModal(full
+		? 'Storage on this device is full, so your latest change is only kept until the app is closed. ' +
+			'Export a backup, then delete old workouts or free up space.'
+		: `Your latest change could not be saved: ${err?.message || 'unknown error'}. Export a backup to be safe.`);
+}
 
-	const planned = parseInt(breakCard.dataset.plannedDuration || 0, 10) || 60;
-	breakCard.dataset.plannedDuration = planned;
+/**
+ * Gets a workout from the history.
+ * @param {string} id - The workout's ID.
+ * @returns {Promise<object|null>} The workout, or null if there is none. Don't
+ *   change it in place; pass a changed copy to putWorkouts().
+ */
+async function getWorkout(id) {
+	await workoutStore.pending;
+	return App.workouts.find(w => w.id === id) || null;
+}
 
-	// Initialize runtime trackers if missing
-	if (breakCard._timeLeft == null) breakCard._timeLeft = planned;
-	if (breakCard._elapsed == null) breakCard._elapsed = 0;
-	if (breakCard._countdown) {
-		return; // Already running
+/**
+ * Looks up workouts in the history through the store's date and exercise
+ * indexes, once pending writes are done. Without IndexedDB, or while the
+ * store is behind after a failed write, the in-memory history is searched.
+ * @param {object} [query]
+ * @param {number} [query.from] - Earliest time, as a timestamp (inclusive).
+ * @param {number} [query.to] - Latest time, as a timestamp (inclusive).
+ * @param {string} [query.exercise] - Only workouts with this exercise, see exerciseKey().
+ * @returns {Promise<Array<object>>} The workouts, oldest first. Don't change them
+ *   in place; pass changed copies to putWorkouts().
+ */
+async function queryWorkouts({ from = null, to = null, exercise = null } = {}) {
+	const dated = from != null || to != null;
+	await workoutStore.pending;
+
+	let candidates = App.workouts;
+	if (workoutStore.db && !workoutStore.resync && (dated || exercise)) {
+		const store = workoutStore.db.transaction('workouts').objectStore('workouts');
+		const lookups = [];
+		if (dated) {
+			const range = from != null && to != null ? IDBKeyRange.bound(from, to)
+				: from != null ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+			lookups.push(idbDone(store.index('date').getAllKeys(range)));
+		}
+		if (exercise) {
+			lookups.push(Promise.all(exerciseIndexKeys(exercise).map(key => idbDone(store.index('exercise').getAllKeys(key))))
+				.then(lists => lists.flat()));
+		}
+		const found = (await Promise.all(lookups)).map(ids => new Set(ids));
+		candidates = App.workouts.filter(w => found.every(ids => ids.has(w.id)));
 	}
 
-	ensureTimeCell(breakCard); // Ensure there's a time-display
+	// The indexes narrow the search down; this makes it exact (and does it all without them)
+	return candidates.filter(w => {
+		if (dated) {
+			const t = Date.parse(w.date);
+			if (isNaN(t) || (from != null && t < from) || (to != null && t > to)) return false;
+		}
+		return !exercise || w.exercises.some(ex => ex.type !== 'break' && exerciseKey(ex) === exercise);
+	});
+}
 
-	// Clean the cell and build countdown UI
-	cell.innerHTML = '';
-	const display = create('span', { class: 'break-countdown' });
-	cell.appendChild(display);
+/**
+ * Adds workouts to the history, or replaces the versions it has (by ID), then
+ * updates the personal records and saves. New workouts go in date order. The
+ * history changes right away; the promise tells when it's saved.
+ * @param {Array<object>} workouts - The workouts; ones without an ID get one.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Make these the whole history, in this order.
+ * @returns {Promise<boolean>} See saveWorkouts().
+ */
+function putWorkouts(workouts, { replace = false } = {}) {
+	workouts.forEach(w => { if (!w.id) w.id = makeId('w'); });
+	if (replace) {
+		App.workouts = [...workouts];
+	} else {
+		workouts.forEach(w => {
+			const index = App.workouts.findIndex(old => old.id === w.id);
+			if (index >= 0) {
+				App.workouts[index] = w;
+				return;
+			}
+			const t = Date.parse(w.date);
+			const next = isNaN(t) ? -1 : App.workouts.findIndex(old => Date.parse(old.date) > t);
+			App.workouts.splice(next >= 0 ? next : App.workouts.length, 0, w);
+		});
+	}
+	recomputeRecords();
+	return saveWorkouts();
+}
 
-	// Create control buttons
-	const btnAdd = create('button', { type: 'button', class: 'small', textContent: '+10s' });
-	const btnSub = create('button', { type: 'button', class: 'small', textContent: '-10s' });
-	const btnReset = create('button', { type: 'button', class: 'small', textContent: 'Reset' });
-	const btnSkip = create('button', { type: 'button', class: 'small', textContent: 'Skip' });
-	
-	[btnAdd, btnSub, btnReset, btnSkip].forEach(b => cell.appendChild(b));
+/**
+ * Removes workouts from the history, then updates the personal records and
+ * saves. A conflicting version stops being one once the other version is gone.
+ * The history changes right away; the promise tells when it's saved.
+ * @param {Array<string>} ids - The IDs of the workouts.
+ * @returns {Promise<boolean>} See saveWorkouts().
+ */
+function deleteWorkouts(ids) {
+	const removed = new Set(ids);
+	App.workouts = App.workouts.filter(w => !removed.has(w.id));
+	App.workouts.forEach(w => {
+		if (removed.has(w.conflictWith)) delete w.conflictWith;
+	});
+	recomputeRecords();
+	return saveWorkouts();
+}
 
-	/** Updates the countdown display and handles completion. */
-	const updateDisplay = () => {
-		const left = breakCard._timeLeft;
-		
-		if (left <= 0) {
-			// Break is done
-			display.textContent = 'Break complete!';
-			breakCard.classList.remove('break-warning');
-			breakCard.classList.add('break-done');
+// ==========================================================================
+//  Estimated One-Rep Max
+// ==========================================================================
 
-			// Hide "Done" button on auto-complete
-			const doneBtn = breakCard.querySelector('.row-done-btn');
-			if (doneBtn) {
-				doneBtn.style.display = 'none';
-			}
+// Percentage of 1RM that can be lifted for N reps to failure (index N - 1),
+// after Tuchscherer's RPE table. Reps in reserve shift the index further.
+const RPE_PERCENT_TABLE = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68.0, 65.3, 62.6, 59.9, 57.4];
 
-			if (breakCard._countdown) {
-				clearInterval(breakCard._countdown);
-				breakCard._countdown = null;
-			}
+/** Epley: weight x (1 + reps / 30). */
+const epley = (weight, reps) => reps === 1 ? weight : weight * (1 + reps / 30);
 
-			// Record actual elapsed seconds to the main time display
-			const timeDisplay = breakCard.querySelector('.time-display');
-			if (timeDisplay) {
-				timeDisplay.dataset.seconds = parseInt(breakCard._elapsed || 0, 10) || 0;
-				timeDisplay.textContent = fmtTime(parseInt(breakCard._elapsed || 0, 10) || 0);
-			}
+/** Available e1RM formulas, keyed by the value stored in App.settings.e1rmFormula. */
+const E1RM_FORMULAS = {
+	epley: {
+		label: 'Epley',
+		estimate: (weight, reps) => epley(weight, reps)
+	},
+	brzycki: {
+		label: 'Brzycki',
+		// Brzycki: weight x 36 / (37 - reps); it breaks down past ~12 reps, where Epley takes over
+		estimate: (weight, reps) => reps <= 12 ? weight * 36 / (37 - reps) : epley(weight, reps)
+	},
+	rpe: {
+		label: 'RPE table',
+		// Treats an RPE of N as 10 - N reps left in reserve; RPE below 6 is too far from failure to be useful
+		estimate: (weight, reps, rpe) => {
+			const rir = 10 - Math.min(10, Math.max(6, parseInt(rpe, 10) || 10));
+			const pct = RPE_PERCENT_TABLE[reps + rir - 1];
+			return pct ? weight * 100 / pct : epley(weight, reps + rir);
+		}
+	}
+};
 
-			// --- Auto-advance to the next row ---
+/**
+ * Estimates a one-rep max from a weight lifted for a number of reps.
+ * @param {number} weight - The weight lifted.
+ * @param {number} reps - The reps performed.
+ * @param {number} [rpe] - The set's difficulty (RPE 1-10), used by the RPE formula.
+ * @param {string} [formula] - A key of E1RM_FORMULAS; defaults to the user's setting.
+ * @returns {number} The estimated 1RM, or 0 if there is nothing to estimate from.
+ */
+function estimateOneRepMax(weight, reps, rpe, formula = App.settings.e1rmFormula) {
+	weight = parseFloat(weight) || 0;
+	reps = parseInt(reps, 10) || 0;
+	if (weight <= 0 || reps <= 0) return 0;
+	return (E1RM_FORMULAS[formula] || E1RM_FORMULAS.epley).estimate(weight, reps, rpe);
+}
+
+/**
+ * Splits a set into efforts: runs of reps performed at one weight. A normal set
+ * is a single effort; a dropset stores one weight per rep, so each run of
+ * equal weights is its own effort.
+ * @param {object} set - The set object.
+ * @returns {Array<{weight: number, reps: number}>} The efforts.
+ */
+function setEfforts(set) {
+	const weights = (Array.isArray(set.weights) ? set.weights : [set.weights]).map(w => parseFloat(w || 0) || 0);
+	if (!set.dropset) return [{ weight: weights[0] || 0, reps: parseInt(set.reps || 0, 10) || 0 }];
+
+	const efforts = [];
+	for (let i = 0; i < weights.length;) {
+		let run = 1;
+		while (i + run < weights.length && weights[i + run] === weights[i]) run++;
+		efforts.push({ weight: weights[i], reps: run });
+		i += run;
+	}
+	return efforts;
+}
+
+/**
+ * Estimates the one-rep max shown by a set. Each effort of a dropset is
+ * estimated separately and the best one counts, rather than crediting every
+ * rep at the heaviest (or summed) weight.
+ * @param {object} set - The set object.
+ * @returns {number} The estimated 1RM.
+ */
+const setOneRepMax = set => setEfforts(set)
+	.reduce((best, e) => Math.max(best, estimateOneRepMax(e.weight, e.reps, set.difficulty)), 0);
+
+/**
+ * Estimates the one-rep max shown by an exercise: the best of its sets.
+ * @param {object} ex - The exercise object.
+ * @returns {number} The estimated 1RM.
+ */
+const exerciseOneRepMax = ex => (ex.sets || []).reduce((best, set) => Math.max(best, setOneRepMax(set)), 0);
+
+/**
+ * Rounds an estimate for display.
+ * @param {number} value - The value.
+ * @returns {number} The value rounded to one decimal.
+ */
+const roundTenth = value => Math.round(value * 10) / 10;
+
+// ==========================================================================
+//  DOM Helpers
+// ==========================================================================
+
+/**
+ * Shorthand for document.getElementById.
+ * @param {string} id - The element ID.
+ * @returns {HTMLElement} The DOM element.
+ */
+const $ = id => document.getElementById(id);
+
+/**
+ * Creates a DOM element with properties and children.
+ * @param {string} tag - The HTML tag name.
+ * @param {object} [props={}] - Properties to set on the element.
+ * @param {...(HTMLElement|string|null)} children - Child nodes to append.
+ * @returns {HTMLElement} The created element.
+ */
+const create = (tag, props = {}, ...children) => {
+	const el = document.createElement(tag);
+	Object.entries(props).forEach(([k, v]) => {
+		if (k === 'class') el.className = v;
+		else if (k === 'html') el.innerHTML = v;
+		else if (k.startsWith('data-')) el.dataset[k.slice(5)] = v;
+		else el[k] = v;
+	});
+	children.forEach(c => { 
+		if (c == null) return; 
+		if (typeof c === 'string') el.appendChild(document.createTextNode(c)); 
+		else el.appendChild(c); 
+	});
+	return el;
+};
+
+// ==========================================================================
+//  Custom Modal (replaces alert/confirm)
+// ==========================================================================
+
+/**
+ * Shows a custom modal dialog.
+ * @param {string} text - The message to display.
+ * @param {function} [onConfirm] - Callback if the 'OK' button is pressed.
+ * @param {function} [onCancel] - Callback if 'Cancel' is pressed. If provided, the 'Cancel' button is shown.
+ */
+function showModal(text, onConfirm, onCancel) {
+	$('modalText').textContent = text;
+	App.modal.onConfirm = onConfirm || null;
+	App.modal.onCancel = onCancel || null;
+	
+	$('modalInput').style.display = 'none';
+	$('modalBody').replaceChildren();
+	$('modalCancelBtn').style.display = onCancel ? 'inline-block' : 'none';
+	$('modalOverlay').style.display = 'flex';
+}
+
+/**
+ * Shows the custom modal with a text field (replaces prompt).
+ * @param {string} text - The message to display.
+ * @param {string} defaultValue - The initial value of the text field.
+ * @param {function(string)} onConfirm - Called with the trimmed value if 'OK' is pressed and it isn't empty.
+ * @param {function} [onCancel] - Callback if 'Cancel' is pressed.
+ */
+function showPrompt(text, defaultValue, onConfirm, onCancel) {
+	showModal(text, value => {
+		if (value) onConfirm(value);
+	}, onCancel || (() => {}));
+	const input = $('modalInput');
+	input.style.display = 'block';
+	input.value = defaultValue || '';
+	input.focus();
+	input.select();
+}
+
+/**
+ * Shows the custom modal with a form (or any other content) below the message.
+ * @param {string} text - The message to display.
+ * @param {HTMLElement} body - The content; read it in onConfirm, it stays in the DOM until the next modal.
+ * @param {function} onConfirm - Callback if the 'OK' button is pressed.
+ * @param {function} [onCancel] - Callback if 'Cancel' is pressed.
+ */
+function showFormModal(text, body, onConfirm, onCancel) {
+	showModal(text, onConfirm, onCancel || (() => {}));
+	$('modalBody').appendChild(body);
+}
+
+/** Hides the custom modal. */
+function hideModal() {
+	$('modalOverlay').style.display = 'none';
+	App.modal.onConfirm = null;
+	App.modal.onCancel = null;
+}
+
+// ==========================================================================
+//  Appearance (Theme)
+// ==========================================================================
+
+/** Applies the correct 'light', 'dark', or 'system' theme to the body. */
+function applyAppearance() {
+	let newAppearance = App.settings.appearance;
+	if (newAppearance === 'system') {
+		newAppearance = MQL_DARK.matches ? 'dark' : 'light';
+	}
+	document.body.classList.toggle('dark', newAppearance === 'dark');
+}
+
+// ==========================================================================
+//  Workout Row (Card) Construction
+// ==========================================================================
+
+/**
+ * Finds or creates the time display span in a card's action rail.
+ * @param {HTMLElement} card - The workout card element.
+ * @returns {HTMLElement} The time display span element.
+ */
+function ensureTimeCell(card) {
+	let rail = card.querySelector('.card-action-rail');
+	if (!rail) {
+		rail = create('div', { class: 'card-action-rail' });
+		card.prepend(rail);
+	}
+	let timeCell = rail.querySelector('.time-cell');
+	if (!timeCell) {
+		timeCell = create('div', { class: 'time-cell' });
+		const display = create('span', { class: 'time-display', 'data-seconds': 0 }, fmtTime(0));
+		timeCell.appendChild(display);
+		rail.appendChild(timeCell);
+	}
+	return rail.querySelector('.time-display');
+}
+
+/**
+ * Creates and appends a "Done" button (checkmark) to a card's action rail.
+ * @param {HTMLElement} card - The workout card element.
+ * @returns {HTMLElement} The created button element.
+ */
+function createDoneButton(card) {
+	let rail = card.querySelector('.card-action-rail');
+	if (!rail) {
+		rail = create('div', { class: 'card-action-rail' });
+		card.prepend(rail);
+	}
+	
+	// Remove existing button if any
+	let oldBtn = rail.querySelector('.row-done-btn');
+	if (oldBtn) oldBtn.remove();
+	
+	// Use checkmark icon
+	const btn = create('button', { 
+		type: 'button', 
+		class: 'row-done-btn',
+		title: 'Mark done',
+		html: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>'
+	});
+	btn.addEventListener('click', () => completeRow(card));
+	rail.appendChild(btn);
+	return btn;
+}
+
+/**
+ * Wires up event listeners for inputs within a set row (slider, dropset checkbox, etc.).
+ * @param {HTMLElement} row - The set row element.
+ */
+function wireSetControls(row) {
+	const slider = row.querySelector('.difficulty-slider');
+	const sliderVal = row.querySelector('.difficulty-value');
+	if (slider && sliderVal) {
+		slider.addEventListener('input', () => { sliderVal.textContent = slider.value; });
+	}
+
+	const dropsetCb = row.querySelector('.dropset-checkbox');
+	if (dropsetCb) {
+		dropsetCb.addEventListener('change', e => toggleDropSet(e.target));
+	}
+
+	const repsInput = row.querySelector('.reps-field input[type="number"]');
+	if (repsInput) {
+		repsInput.addEventListener('input', () => updateDropSetInputs(repsInput));
+	}
+}
+
+/**
+ * Re-numbers the set labels of an exercise card after sets are added or removed.
+ * @param {HTMLElement} card - The exercise card element.
+ */
+function renumberSets(card) {
+	const rows = Array.from(card.querySelectorAll('.set-row'));
+	rows.forEach((row, i) => {
+		const label = row.querySelector('.set-label');
+		if (label) label.textContent = 'Set ' + (i + 1);
+	});
+	card.classList.toggle('single-set', rows.length <= 1);
+}
+
+/**
+ * Appends a set row to an exercise card.
+ * @param {HTMLElement} card - The exercise card element.
+ * @param {object} [set={}] - An optional set object ({reps, weights, dropset, difficulty, time}) to pre-fill the row.
+ * @returns {HTMLElement} The created set row.
+ */
+function addSet(card, set = {}) {
+	const list = card.querySelector('.set-list');
+	const reps = set.reps ?? 10;
+	const difficulty = set.difficulty ?? 5;
+	const dropset = !!set.dropset;
+	const weights = Array.isArray(set.weights) ? set.weights : [set.weights ?? 0];
+	const secs = parseInt(set.time || 0, 10) || 0;
+
+	const row = create('div', { class: 'set-row' });
+	row.innerHTML = `
+		<div class="set-header">
+			<span class="set-label"></span>
+			<span class="set-time" data-seconds="${secs}">${fmtTime(secs)}</span>
+			<button type="button" class="set-remove-btn" title="Remove set">&times;</button>
+		</div>
+		<div class="card-row">
+			<div class="card-field reps-field">
+				<label>Reps</label>
+				<input type="number" min="1" value="${reps}">
+			</div>
+			
+			<div class="card-field weight-field">
+				<label>Weight</label>
+				<div class="weight-line">
+					<input type="number" min="0" class="single-weight" value="${dropset ? '' : (weights[0] ?? 0)}">
+				</div>
+			</div>
+		</div>
+
+		<div class="card-field dropset-field">
+			<label class="dropset-label"><input type="checkbox" class="dropset-checkbox"${dropset ? ' checked' : ''}> Enable Dropset</label>
+			<div class="dropset-inputs" style="display:${dropset ? '' : 'none'}"></div>
+		</div>
+
+		<div class="card-field diff-field">
+			<label>Difficulty (RPE 1-10)</label>
+			<div class="difficulty-control">
+				<input type="range" min="1" max="10" value="${difficulty}" class="difficulty-slider">
+				<span class="difficulty-value">${difficulty}</span>
+			</div>
+		</div>
+	`;
+
+	row.querySelector('.set-remove-btn').addEventListener('click', () => {
+		// An exercise always keeps at least one set
+		if (card.querySelectorAll('.set-row').length <= 1) return;
+		row.remove();
+		renumberSets(card);
+	});
+
+	list.appendChild(row);
+	wireSetControls(row);
+
+	// Restore dropset values if provided
+	if (dropset && weights.length) {
+		const cb = row.querySelector('.dropset-checkbox');
+		if (cb) toggleDropSet(cb, weights);
+	}
+
+	renumberSets(card);
+	return row;
+}
+
+/**
+ * Reads the current values of an exercise card into an exercise object.
+ * @param {HTMLElement} card - The exercise card element.
+ * @returns {object} The exercise ({type, name, catalogId?, unit, sets, time}).
+ */
+function readExerciseCard(card) {
+	const td = card.querySelector('.card-action-rail .time-display');
+	const sets = Array.from(card.querySelectorAll('.set-row')).map(row => {
+		const dropset = !!row.querySelector('.dropset-checkbox')?.checked;
+		const weights = dropset
+			? Array.from(row.querySelectorAll('.dropset-inputs input')).map(i => parseFloat(i.value) || 0)
+			: [parseFloat(row.querySelector('.single-weight')?.value) || 0];
+		return {
+			reps: parseInt(row.querySelector('.reps-field input')?.value || 0, 10) || 0,
+			weights,
+			dropset,
+			difficulty: parseInt(row.querySelector('.difficulty-slider')?.value || 0, 10) || 0,
+			time: elapsedSeconds(row, row.querySelector('.set-time'))
+		};
+	});
+	return {
+		type: 'exercise',
+		name: card.querySelector('.exercise-name-input')?.value || '',
+		...(card.dataset.catalogId ? { catalogId: card.dataset.catalogId } : {}),
+		unit: card.querySelector('.unit-select')?.value || App.settings.defaultUnit,
+		sets,
+		time: elapsedSeconds(card, td)
+	};
+}
+
+/**
+ * Creates the handle that reorders a card by dragging it (mouse, touch or pen),
+ * or with the arrow keys. Works before and during a workout.
+ * @param {HTMLElement} card - The card the handle moves.
+ * @returns {HTMLButtonElement} The handle.
+ */
+function createDragHandle(card) {
+	const handle = create('button', {
+		type: 'button',
+		class: 'row-drag-handle',
+		title: 'Drag to reorder',
+		html: '<svg><use href="#icon-grip"></use></svg>'
+	});
+	const position = () => Array.from($('workoutListContainer').children).indexOf(card);
+	let from = null; // Position when the drag started
+
+	handle.addEventListener('pointerdown', e => {
+		if (e.button !== 0) return;
+		e.preventDefault();
+		handle.setPointerCapture(e.pointerId);
+		from = position();
+		card.classList.add('dragging');
+	});
+	handle.addEventListener('pointermove', e => {
+		if (from === null) return;
+		// The card goes before the first other card whose middle is below the pointer
+		const others = Array.from($('workoutListContainer').children).filter(c => c !== card);
+		const to = others.findIndex(c => {
+			const r = c.getBoundingClientRect();
+			return e.clientY < r.top + r.height / 2;
+		});
+		movePlanCard(card, to < 0 ? others.length : to);
+
+		// Scroll when dragging towards the edges (the planning controls cover the top)
+		if (e.clientY < 220) window.scrollBy(0, -12);
+		else if (e.clientY > window.innerHeight - 90) window.scrollBy(0, 12);
+	});
+	const drop = () => {
+		if (from === null) return;
+		card.classList.remove('dragging');
+		recordPlanCardMoved(card, from);
+		from = null;
+	};
+	handle.addEventListener('pointerup', drop);
+	handle.addEventListener('pointercancel', drop);
+
+	handle.addEventListener('keydown', e => {
+		const step = e.key === 'ArrowUp' ? -1 : e.key === 'ArrowDown' ? 1 : 0;
+		const start = position();
+		if (!step || start + step < 0 || start + step >= $('workoutListContainer').children.length) return;
+		e.preventDefault();
+		movePlanCard(card, start + step);
+		recordPlanCardMoved(card, start);
+		handle.focus();
+	});
+	return handle;
+}
+
+/**
+ * Adds a new exercise card to the planning list.
+ * @param {object} [ex={}] - An optional exercise object to pre-fill the card.
+ * @returns {HTMLElement} The new card.
+ */
+function addExercise(ex = {}) {
+	const container = $('workoutListContainer');
+	const card = create('div', { class: 'workout-card exercise-card' });
+
+	// Create the rail and content wrapper
+	const rail = create('div', { class: 'card-action-rail' });
+	const contentWrapper = create('div', { class: 'card-content' });
+	card.appendChild(rail);
+	card.appendChild(contentWrapper);
+
+	// Get values or set defaults
+	const name = escapeHtml(ex.name || '');
+	const unit = (ex.unit || App.settings.defaultUnit) === 'kg' ? 'kg' : 'lbs';
+	const sets = normalizeExercise(ex).sets;
+	const catalogId = ex.catalogId || matchCatalogExercise(ex.name)?.id;
+	if (catalogId) card.dataset.catalogId = catalogId;
+	if (ex.group) card.dataset.group = ex.group;
+
+	// Card structure (now goes into contentWrapper)
+	let html = `
+		<div class="card-header">
+			<div class="card-title">
+				<input type="text" class="exercise-name-input" placeholder="Exercise" value="${name}" list="exerciseCatalogList" autocomplete="off">
+				<div class="catalog-info"></div>
+			</div>
+			<select class="unit-select">
+				<option value="kg"${unit === 'kg' ? ' selected' : ''}>kg</option>
+				<option value="lbs"${unit === 'lbs' ? ' selected' : ''}>lbs</option>
+			</select>
+		</div>
+		<div class="card-body">
+			<div class="set-list"></div>
+			<button type="button" class="add-set-btn">+ Set</button>
+		</div>
+	`;
+	contentWrapper.innerHTML = html;
+	rail.appendChild(createDragHandle(card));
+	renderCardCatalogInfo(card);
+	contentWrapper.querySelector('.exercise-name-input').addEventListener('change', () => applyCatalogName(card));
+
+	// New sets copy the previous set's values, so 5x5 is one tap per set
+	contentWrapper.querySelector('.add-set-btn').addEventListener('click', () => {
+		const prev = readExerciseCard(card).sets.pop() || {};
+		addSet(card, { ...prev, time: 0 });
+	});
+
+	// Add remove button to the rail
+	const removeBtn = create('button', { 
+		type: 'button', 
+		class: 'row-remove-btn', 
+		title: 'Remove row',
+		html: '<svg><use href="#icon-trash"></use></svg>' 
+	});
+	removeBtn.addEventListener('click', () => removePlanCard(card));
+	rail.appendChild(removeBtn);
+
+	// Add duplicate button to the rail
+	const dupBtn = create('button', { 
+		type: 'button', 
+		class: 'row-dup-btn', 
+		title: 'Duplicate',
+		html: '<svg><use href="#icon-duplicate"></use></svg>' 
+	});
+	dupBtn.addEventListener('click', () => {
+		// Append a copy of the card's current values, without its logged times
+		recordPlanCardAdded(addExercise(plannedCopy(readExerciseCard(card))), 'Exercise duplicated');
+	});
+	rail.appendChild(dupBtn);
+
+	// Add superset button to the rail
+	const linkBtn = create('button', {
+		type: 'button',
+		class: 'row-link-btn',
+		title: 'Superset with the next exercise',
+		html: '<svg><use href="#icon-link"></use></svg>'
+	});
+	linkBtn.addEventListener('click', () => linkWithNext(card));
+	rail.appendChild(linkBtn);
+
+	// If workout is active, add timer and done button
+	if (App.workoutStarted) {
+		ensureTimeCell(card);
+		createDoneButton(card);
+		rail.classList.add('workout-active');
+	}
+	
+	(sets.length ? sets : [{}]).forEach(set => addSet(card, set));
+
+	// Restore time if provided (e.g., from history)
+	if (ex.time != null) {
+		ensureTimeCell(card);
+	}
+	
+	container.appendChild(card);
+	return card;
+}
+
+/**
+ * Adds a new break card to the planning list.
+ * @param {object} [br={}] - An optional break object to pre-fill the card.
+ * @returns {HTMLElement} The new card.
+ */
+function addBreak(br = {}) {
+	const container = $('workoutListContainer');
+	const card = create('div', { class: 'workout-card break-card' });
+
+	// Create the rail and content wrapper
+	const rail = create('div', { class: 'card-action-rail' });
+	const contentWrapper = create('div', { class: 'card-content' });
+	card.appendChild(rail);
+	card.appendChild(contentWrapper);
+
+	const duration = parseInt(br.duration || br.plannedDuration || 60, 10) || 60;
+	
+	// Store timer-related data directly on the DOM node
+	card.dataset.plannedDuration = duration;
+	if (br.group) card.dataset.group = br.group;
+	card._countdownClock = null; // Wall clock of the countdown, see createClock()
+	card._extra = 0; // Seconds added or removed with the +10s / -10s buttons
+	card._countdown = null; // Stores the interval ID for the countdown
+
+	let html = `
+		<div class="card-body break-body">
+			Break: <input type="number" min="1" value="${duration}"> sec
+		</div>
+	`;
+	contentWrapper.innerHTML = html;
+	rail.appendChild(createDragHandle(card));
+	
+	// Add remove button
+	const remBtn = create('button', { 
+		type: 'button', 
+		class: 'row-remove-btn', 
+		title: 'Remove break',
+		html: '<svg><use href="#icon-trash"></use></svg>'
+	});
+	remBtn.addEventListener('click', () => removePlanCard(card));
+	rail.appendChild(remBtn);
+
+	// If workout is active, add timer and done button
+	if (App.workoutStarted) {
+		ensureTimeCell(card);
+		createDoneButton(card);
+		rail.classList.add('workout-active');
+	}
+	
+	// Restore time display if pre-filled
+	if (br.time != null) {
+		const timeDisplay = ensureTimeCell(card);
+		timeDisplay.dataset.seconds = parseInt(br.time, 10) || 0;
+		timeDisplay.textContent = fmtTime(timeDisplay.dataset.seconds);
+	}
+	
+	container.appendChild(card);
+	return card;
+}
+
+// ==========================================================================
+//  Dropset Helpers
+// ==========================================================================
+
+/**
+ * Toggles the visibility of dropset weight inputs based on the checkbox.
+ * @param {HTMLInputElement} checkbox - The "Enable Dropset" checkbox.
+ * @param {Array<number>} [restoreValues=[]] - Optional array of weights to pre-fill.
+ */
+function toggleDropSet(checkbox, restoreValues = []) {
+	const row = checkbox.closest('.set-row');
+	if (!row) return;
+	
+	const dropsetContainer = row.querySelector('.dropset-inputs');
+	const singleWeight = row.querySelector('.single-weight');
+	const repsInput = row.querySelector('.reps-field input[type="number"]');
+	if (!dropsetContainer || !singleWeight || !repsInput) return;
+
+	dropsetContainer.innerHTML = '';
+
+	if (checkbox.checked) {
+		dropsetContainer.style.display = 'grid';
+		singleWeight.style.display = 'none';
+		const count = Math.max(1, parseInt(repsInput.value || 1, 10));
+		for (let i = 0; i < count; i++) {
+			const val = (restoreValues[i] != null) ? restoreValues[i] : (i === 0 && singleWeight.value ? singleWeight.value : 0);
+			const w = create('input', { type: 'number', min: '0', value: val });
+			dropsetContainer.appendChild(w);
+		}
+	} else {
+		dropsetContainer.style.display = 'none';
+		singleWeight.style.display = '';
+		if (restoreValues.length) {
+			singleWeight.value = restoreValues[0];
+		}
+	}
+}
+
+/**
+ * Updates the number of dropset inputs to match the reps input.
+ * @param {HTMLInputElement} repsInput - The reps input field.
+ */
+function updateDropSetInputs(repsInput) {
+	const row = repsInput.closest('.set-row');
+	if (!row) return;
+	
+	const dropsetCb = row.querySelector('.dropset-checkbox');
+	if (!dropsetCb || !dropsetCb.checked) return;
+	
+	const container = row.querySelector('.dropset-inputs');
+	if (!container) return;
+
+	const currentInputs = Array.from(container.querySelectorAll('input'));
+	const newCount = Math.max(1, parseInt(repsInput.value || 1, 10));
+
+	if (currentInputs.length < newCount) {
+		// Add new inputs
+		const lastVal = currentInputs.length ? currentInputs[currentInputs.length - 1].value : 0;
+		for (let i = currentInputs.length; i < newCount; i++) {
+			const w = create('input', { type: 'number', min: '0', value: lastVal || 0 });
+			container.appendChild(w);
+		}
+	} else if (currentInputs.length > newCount) {
+		// Remove extra inputs
+		for (let i = currentInputs.length - 1; i >= newCount; i--) {
+			container.removeChild(currentInputs[i]);
+		}
+	}
+}
+
+// ==========================================================================
+//  Supersets & Circuits
+// ==========================================================================
+//
+// A group is a run of neighbouring cards with the same data-group. Its
+// exercises take turns set by set (A1 → A2 → rest → A1...), one round per set,
+// and a break in the group is the rest after each round. Cards keep their
+// data-group when a group is split or shrinks below two exercises, so undoing
+// the move or removal that did it brings the group back.
+
+/**
+ * Lists the groups in the planning list.
+ * @returns {Array<{id: string, cards: Array<HTMLElement>, exercises: Array<HTMLElement>, rest: HTMLElement|null}>} The groups, in list order.
+ */
+function planGroups() {
+	const runs = [];
+	Array.from($('workoutListContainer').children).forEach(card => {
+		const id = card.dataset.group;
+		const last = runs[runs.length - 1];
+		if (!id) return;
+		if (last && last.id === id && last.cards[last.cards.length - 1] === card.previousElementSibling) last.cards.push(card);
+		else runs.push({ id, cards: [card] });
+	});
+	return runs.map(run => ({
+		...run,
+		exercises: run.cards.filter(card => card.classList.contains('exercise-card')),
+		rest: run.cards.find(card => card.classList.contains('break-card')) || null
+	})).filter(group => group.exercises.length > 1);
+}
+
+/**
+ * Finds the group a card belongs to.
+ * @param {HTMLElement} card - The card.
+ * @returns {object|null} The group (see planGroups()), or null if the card isn't in one.
+ */
+const cardGroup = card => planGroups().find(group => group.cards.includes(card)) || null;
+
+/**
+ * Maps each grouped card to the group ID it is saved with. A group split in two
+ * by a move keeps its ID in one part only.
+ * @returns {Map<HTMLElement, string>} The IDs by card.
+ */
+function planGroupIds() {
+	const ids = new Map();
+	const used = new Set();
+	planGroups().forEach(group => {
+		const id = used.has(group.id) ? makeId('g') : group.id;
+		used.add(id);
+		group.cards.forEach(card => ids.set(card, id));
+	});
+	return ids;
+}
+
+/**
+ * The number of rounds of a group: the most sets any of its exercises has.
+ * @param {object} group - The group, see planGroups().
+ * @returns {number} The rounds.
+ */
+const groupRounds = group => Math.max(...group.exercises.map(card => card.querySelectorAll('.set-row').length));
+
+/**
+ * The planned length of a break card, from its input while it has one.
+ * @param {HTMLElement} card - The break card.
+ * @returns {number} The seconds.
+ */
+const breakDuration = card => parseInt(card.querySelector('.break-body input')?.value ?? card.dataset.plannedDuration, 10) || 0;
+
+/**
+ * Changes how cards are grouped (and maybe ordered), undoably.
+ * @param {string} label - What was done.
+ * @param {function} change - Makes the change.
+ */
+function regroupCards(label, change) {
+	const snapshot = () => Array.from($('workoutListContainer').children).map(card => [card, card.dataset.group]);
+	const apply = state => {
+		state.forEach(([card, id], i) => {
+			movePlanCard(card, i);
+			if (id) card.dataset.group = id;
+			else delete card.dataset.group;
+		});
+		renderGroupBars();
+	};
+	const before = snapshot();
+	change();
+	const after = snapshot();
+	renderGroupBars();
+	recordCommand(label, () => apply(before), () => apply(after), { scope: 'plan' });
+}
+
+/**
+ * Groups an exercise (or its group) with the exercise right below it. The
+ * group's rest, if it has one, moves to the end.
+ * @param {HTMLElement} card - The exercise card.
+ */
+function linkWithNext(card) {
+	const own = cardGroup(card);
+	const next = (own ? own.cards[own.cards.length - 1] : card).nextElementSibling;
+	if (!next || !next.classList.contains('exercise-card')) {
+		showModal('Put the exercise to superset with right below this one first.');
+		return;
+	}
+	if (cardGroup(next)) {
+		showModal('The next exercise is already in a superset or circuit. Ungroup it first.');
+		return;
+	}
+	regroupCards(own ? 'Exercise added to group' : 'Superset created', () => {
+		const id = own ? own.id : makeId('g');
+		card.dataset.group = id;
+		next.dataset.group = id;
+		if (own && own.rest) movePlanCard(own.rest, Array.from($('workoutListContainer').children).indexOf(next));
+	});
+}
+
+/**
+ * Gives every exercise of a group the same number of sets, undoably. Sets
+ * already done are kept, so a running group can't lose logged work.
+ * @param {object} group - The group, see planGroups().
+ * @param {number} rounds - The number of rounds.
+ */
+function setGroupRounds(group, rounds) {
+	const changes = []; // {card, row, added}, in the order they were made
+	group.exercises.forEach(card => {
+		const rows = Array.from(card.querySelectorAll('.set-row'));
+		for (let n = rows.length; n < rounds; n++) {
+			const prev = readExerciseCard(card).sets.pop() || {};
+			changes.push({ card, row: addSet(card, { ...prev, time: 0 }), added: true });
+		}
+		rows.slice(rounds).reverse().forEach(row => {
+			if (row.classList.contains('set-done')) return;
+			row.remove();
+			changes.push({ card, row, added: false });
+		});
+		renumberSets(card);
+	});
+	renderGroupBars();
+	if (!changes.length) return;
+
+	// Rows are put back or taken out again in the reverse order of undoing them
+	const apply = (steps, forward) => {
+		steps.forEach(({ card, row, added }) => {
+			if (added === forward) card.querySelector('.set-list').appendChild(row);
+			else row.remove();
+			renumberSets(card);
+		});
+		renderGroupBars();
+	};
+	recordCommand('Rounds changed', () => apply([...changes].reverse(), false), () => apply(changes, true), { scope: 'plan', quiet: true });
+}
+
+/**
+ * Sets the rest after each round of a group, undoably. A rest of 0 removes
+ * the group's break; a rest for a group without one adds it at the end.
+ * @param {object} group - The group, see planGroups().
+ * @param {number} seconds - The rest in seconds.
+ */
+function setGroupRest(group, seconds) {
+	const rest = group.rest;
+	if (!seconds) {
+		if (rest) removePlanCard(rest);
+		return;
+	}
+	if (!rest) {
+		const card = addBreak({ duration: seconds, group: group.id });
+		movePlanCard(card, Array.from($('workoutListContainer').children).indexOf(group.cards[group.cards.length - 1]) + 1);
+		recordPlanCardAdded(card, 'Rest added');
+		return;
+	}
+	const set = value => {
+		rest.dataset.plannedDuration = value;
+		const input = rest.querySelector('.break-body input');
+		if (input) input.value = value;
+		renderGroupBars();
+	};
+	const before = breakDuration(rest);
+	set(seconds);
+	recordCommand('Rest changed', () => set(before), () => set(seconds), { scope: 'plan', quiet: true });
+}
+
+/** Marks the grouped cards and puts a bar with the group's settings on top of each group. */
+function renderGroupBars() {
+	const container = $('workoutListContainer');
+	container.querySelectorAll('.group-bar').forEach(bar => bar.remove());
+	Array.from(container.children).forEach(card => card.classList.remove('grouped', 'group-start', 'group-end'));
+
+	planGroups().forEach(group => {
+		const rounds = groupRounds(group);
+		const rest = group.rest ? breakDuration(group.rest) : 0;
+		group.cards.forEach(card => card.classList.add('grouped'));
+		group.cards[0].classList.add('group-start');
+		group.cards[group.cards.length - 1].classList.add('group-end');
+
+		const bar = create('div', { class: 'group-bar' });
+		bar.innerHTML = `
+			<span class="group-label">${describeGroup(group.exercises.length, rounds, rest)}</span>
+			<label>Rounds <input type="number" min="1" class="group-rounds" value="${rounds}"></label>
+			<label>Rest <input type="number" min="0" class="group-rest" value="${rest}"> sec</label>
+			<button type="button" class="group-ungroup-btn">Ungroup</button>
+		`;
+		bar.querySelector('.group-rounds').addEventListener('change', e => {
+			setGroupRounds(group, Math.max(1, parseInt(e.target.value, 10) || 1));
+		});
+		bar.querySelector('.group-rest').addEventListener('change', e => {
+			setGroupRest(group, Math.max(0, parseInt(e.target.value, 10) || 0));
+		});
+		bar.querySelector('.group-ungroup-btn').addEventListener('click', () => {
+			regroupCards('Ungrouped', () => group.cards.forEach(card => delete card.dataset.group));
+		});
+		group.cards[0].querySelector('.card-content').prepend(bar);
+	});
+}
+
+/** Keeps the group bars in step with the planning list. */
+function watchGroups() {
+	const container = $('workoutListContainer');
+	new MutationObserver(renderGroupBars).observe(container, { childList: true });
+	// Set counts and rest lengths edited on the cards themselves
+	container.addEventListener('click', e => {
+		if (e.target.closest('.add-set-btn, .set-remove-btn')) renderGroupBars();
+	});
+	container.addEventListener('change', e => {
+		if (e.target.closest('.break-card.grouped .break-body')) renderGroupBars();
+	});
+}
+
+// ==========================================================================
+//  Wall-Clock Timing
+// ==========================================================================
+//
+// Mobile browsers throttle or freeze intervals while the screen is locked, so
+// timers never count ticks. A clock stores when it started and how long it has
+// been paused; elapsed time is always derived from Date.now(). Intervals only
+// refresh the displays.
+
+/**
+ * Creates a paused clock that already shows the given elapsed time.
+ * @param {number} [elapsedSecs=0] - Seconds already elapsed.
+ * @param {number} [at=Date.now()] - The timestamp to create the clock at.
+ * @returns {{startedAt: number, pausedAt: number|null, pausedMs: number}} The clock.
+ */
+const createClock = (elapsedSecs = 0, at = Date.now()) => ({ startedAt: at - elapsedSecs * 1000, pausedAt: at, pausedMs: 0 });
+
+/**
+ * Starts (or resumes) a clock. Resuming a running clock does nothing.
+ * @param {object} clock - The clock.
+ * @param {number} [at=Date.now()] - The timestamp the clock resumed at.
+ */
+function resumeClock(clock, at = Date.now()) {
+	if (clock.pausedAt == null) return;
+	clock.pausedMs += Math.max(0, at - clock.pausedAt);
+	clock.pausedAt = null;
+}
+
+/**
+ * Pauses a clock. Pausing a paused clock does nothing.
+ * @param {object} clock - The clock.
+ * @param {number} [at=Date.now()] - The timestamp the clock stopped at (may be in the past).
+ */
+function pauseClock(clock, at = Date.now()) {
+	if (clock.pausedAt != null) return;
+	clock.pausedAt = at;
+}
+
+/**
+ * Derives the elapsed whole seconds of a clock.
+ * @param {object} clock - The clock.
+ * @returns {number} The elapsed seconds.
+ */
+const clockSeconds = clock => Math.max(0, Math.floor(((clock.pausedAt ?? Date.now()) - clock.startedAt - clock.pausedMs) / 1000));
+
+/**
+ * Reads the time of a card or set row: its live clock if it has one, else the
+ * seconds stored on its time display.
+ * @param {HTMLElement} owner - The card or set row that may carry a `_clock`.
+ * @param {HTMLElement} display - Its time display element.
+ * @returns {number} The elapsed seconds.
+ */
+const elapsedSeconds = (owner, display) => owner._clock
+	? clockSeconds(owner._clock)
+	: (parseInt(display?.dataset.seconds || 0, 10) || 0);
+
+/**
+ * Writes a clock's elapsed time into a time display.
+ * @param {HTMLElement} display - The time display element.
+ * @param {object} clock - The clock.
+ */
+function renderClock(display, clock) {
+	if (!display || !clock) return;
+	const secs = clockSeconds(clock);
+	display.dataset.seconds = secs;
+	display.textContent = fmtTime(secs);
+}
+
+/** Refreshes every visible timer at once, e.g. when the tab comes back to the foreground. */
+function refreshTimers() {
+	if (App.workoutClock) {
+		$('workoutTotalTimer').textContent = 'Total Time: ' + fmtTime(clockSeconds(App.workoutClock));
+	}
+	Array.from($('workoutListContainer').children).forEach(card => {
+		renderRowTime(card);
+		if (typeof card._countdown === 'number' && card._tick) card._tick();
+	});
+}
+
+// ==========================================================================
+//  Row Timers (Stopwatch)
+// ==========================================================================
+
+/**
+ * Returns the set row currently being performed in an exercise card.
+ * @param {HTMLElement} card - The card.
+ * @returns {HTMLElement|null} The first set row not marked done.
+ */
+const activeSetRow = card => card.querySelector('.set-row:not(.set-done)');
+
+/**
+ * Writes a card's clock, and the clocks of its sets, into their time displays.
+ * @param {HTMLElement} card - The card.
+ */
+function renderRowTime(card) {
+	renderClock(card.querySelector('.card-action-rail .time-display'), card._clock);
+	card.querySelectorAll('.set-row').forEach(row => renderClock(row.querySelector('.set-time'), row._clock));
+}
+
+/**
+ * Starts a stopwatch timer for a specific row (card).
+ * @param {number} index - The index of the card in the list.
+ * @param {number} [at=Date.now()] - The timestamp the row started at.
+ */
+function startRowTimer(index, at = Date.now()) {
+	const cards = Array.from($('workoutListContainer').children);
+	if (index < 0 || index >= cards.length) return;
+	
+	// Stop other active timer
+	if (App.activeRowIndex !== null && App.activeRowIndex !== index) {
+		stopRowTimer(App.activeRowIndex, at);
+	}
+
+	const card = cards[index];
+	const display = ensureTimeCell(card);
+	if (!card._clock) card._clock = createClock(parseInt(display.dataset.seconds || '0', 10) || 0, at);
+	resumeClock(card._clock, at);
+
+	// Exercise cards also time the set currently being performed
+	const setRow = activeSetRow(card);
+	if (setRow) {
+		if (!setRow._clock) setRow._clock = createClock(parseInt(setRow.querySelector('.set-time')?.dataset.seconds || '0', 10) || 0, at);
+		resumeClock(setRow._clock, at);
+	}
+
+	if (App.rowTimers[index]) clearInterval(App.rowTimers[index]);
+	
+	App.rowTimers[index] = setInterval(() => renderRowTime(card), 1000);
+	renderRowTime(card);
+
+	App.activeRowIndex = index;
+}
+
+/**
+ * Pauses the clocks of a card and of the set being performed in it.
+ * @param {HTMLElement} card - The card.
+ * @param {number} [at=Date.now()] - The timestamp the row stopped at.
+ */
+function pauseRowClocks(card, at = Date.now()) {
+	if (card._clock) pauseClock(card._clock, at);
+	card.querySelectorAll('.set-row').forEach(row => {
+		if (row._clock) pauseClock(row._clock, at);
+	});
+	renderRowTime(card);
+}
+
+/**
+ * Stops the stopwatch timer for a specific row.
+ * @param {number} index - The index of the card in the list.
+ * @param {number} [at=Date.now()] - The timestamp the row stopped at.
+ */
+function stopRowTimer(index, at = Date.now()) {
+	if (App.rowTimers[index]) {
+		clearInterval(App.rowTimers[index]);
+		App.rowTimers[index] = null;
+	}
+	const card = $('workoutListContainer').children[index];
+	if (card) pauseRowClocks(card, at);
+	if (App.activeRowIndex === index) {
+		App.activeRowIndex = null;
+	}
+}
+
+// ==========================================================================
+//  Global Workout Timer
+// ==========================================================================
+
+/** Starts (or resumes) the global workout timer. */
+function startWorkoutTimer() {
+	const display = $('workoutTotalTimer');
+	if (App.workoutTimerId) clearInterval(App.workoutTimerId);
+	if (!App.workoutClock) App.workoutClock = createClock(0);
+	resumeClock(App.workoutClock);
+	
+	App.workoutTimerId = setInterval(() => {
+		display.textContent = 'Total Time: ' + fmtTime(clockSeconds(App.workoutClock));
+	}, 1000);
+}
+
+/** Stops (pauses) the global workout timer. */
+function stopWorkoutTimer() {
+	if (App.workoutTimerId) {
+		clearInterval(App.workoutTimerId);
+		App.workoutTimerId = null;
+	}
+	if (App.workoutClock) pauseClock(App.workoutClock);
+}
+
+// ==========================================================================
+//  Break Countdown Timer
+// ==========================================================================
+
+/**
+ * Seconds left on a break: the planned duration, plus any +/-10s adjustments,
+ * minus the countdown's elapsed time. Negative once the break has overrun.
+ * @param {HTMLElement} breakCard - The break card element.
+ * @returns {number} The remaining seconds.
+ */
+function breakTimeLeft(breakCard) {
+	const planned = parseInt(breakCard.dataset.plannedDuration || 0, 10) || 0;
+	const elapsed = breakCard._countdownClock ? clockSeconds(breakCard._countdownClock) : 0;
+	return planned + (breakCard._extra || 0) - elapsed;
+}
+
+/**
+ * Prepares a break card's countdown to start from its planned duration,
+ * re-reading the duration input in case it was edited.
+ * @param {HTMLElement} breakCard - The break card element.
+ */
+function resetBreakCountdown(breakCard) {
+	const inp = breakCard.querySelector('.break-body input[type="number"]');
+	if (inp) breakCard.dataset.plannedDuration = parseInt(inp.value || 0, 10) || 0;
+	breakCard._countdownClock = null;
+	breakCard._extra = 0;
+}
+
+/**
+ * Starts a countdown timer for a break card.
+ * @param {HTMLElement} breakCard - The break card element.
+ * @param {number} [at=Date.now()] - The timestamp the countdown started at.
+ */
+function startBreakCountdown(breakCard, at = Date.now()) {
+	const cell = breakCard.querySelector('.break-body');
+	if (!cell) return;
+
+	const planned = parseInt(breakCard.dataset.plannedDuration || 0, 10) || 60;
+	breakCard.dataset.plannedDuration = planned;
+
+	// Initialize runtime trackers if missing
+	if (!breakCard._countdownClock) breakCard._countdownClock = createClock(0, at);
+	if (breakCard._extra == null) breakCard._extra = 0;
+	if (breakCard._countdown) {
+		return; // Already running
+	}
+
+	ensureTimeCell(breakCard); // Ensure there's a time-display
+
+	// Clean the cell and build countdown UI
+	cell.innerHTML = '';
+	const display = create('span', { class: 'break-countdown' });
+	cell.appendChild(display);
+
+	// Create control buttons
+	const btnAdd = create('button', { type: 'button', class: 'small', textContent: '+10s' });
+	const btnSub = create('button', { type: 'button', class: 'small', textContent: '-10s' });
+	const btnReset = create('button', { type: 'button', class: 'small', textContent: 'Reset' });
+	const btnSkip = create('button', { type: 'button', class: 'small', textContent: 'Skip' });
+	
+	[btnAdd, btnSub, btnReset, btnSkip].forEach(b => cell.appendChild(b));
+
+	/** Updates the countdown display and handles completion. */
+	const updateDisplay = () => {
+		const left = breakTimeLeft(breakCard);
+		
+		if (left <= 0) {
+			// Break is done. If the tab was asleep it may have ended a while ago,
+			// so everything that follows is timed from the moment it really ended.
+			const endedAt = Date.now() + left * 1000;
+			pauseClock(breakCard._countdownClock, endedAt);
+
+			display.textContent = 'Break complete!';
+			breakCard.classList.remove('break-warning');
+			breakCard.classList.add('break-done');
+
+			// Hide "Done" button on auto-complete
+			const doneBtn = breakCard.querySelector('.row-done-btn');
+			if (doneBtn) {
+				doneBtn.style.display = 'none';
+			}
+
+			if (breakCard._countdown) {
+				clearInterval(breakCard._countdown);
+				breakCard._countdown = null;
+			}
+
+			// --- Auto-advance to the next row ---
 			const cards = Array.from($('workoutListContainer').children);
 			const idx = cards.indexOf(breakCard);
-			stopRowTimer(idx);
+			stopRowTimer(idx, endedAt);
+			
+			const next = nextRowIndex(cards, idx);
+			if (next >= 0) enterRow(cards[next], next, endedAt);
+			// --- End auto-advance ---
+
+		} else {
+			// Break is in progress
+			display.textContent = 'Break: ' + left + 's';
+			breakCard.classList.toggle('break-warning', left <= 10);
+		}
+	};
+	breakCard._tick = updateDisplay;
+
+	let startAt = at; // Only the first start may be back-dated
+	/** Restarts the interval if it's not already running. */
+	const restartCountdown = () => {
+		if (breakTimeLeft(breakCard) > 0 && !breakCard._countdown) {
+			resumeClock(breakCard._countdownClock, startAt ?? Date.now());
+			startAt = null;
+			breakCard._countdown = setInterval(updateDisplay, 1000);
+		}
+	};
+
+	/**
+	 * Wires up a countdown control. Once the break is done the workout has
+	 * moved on, so the controls no longer restart it (or advance again).
+	 */
+	const onControl = (btn, handler) => btn.addEventListener('click', () => {
+		if (!breakCard.classList.contains('break-done')) handler();
+	});
+	onControl(btnAdd, () => {
+		breakCard._extra += 10;
+		updateDisplay();
+		restartCountdown();
+	});
+	onControl(btnSub, () => {
+		breakCard._extra -= Math.min(10, Math.max(0, breakTimeLeft(breakCard)));
+		updateDisplay();
+		restartCountdown();
+	});
+	onControl(btnReset, () => {
+		breakCard._countdownClock = createClock(0);
+		breakCard._extra = 0;
+		updateDisplay();
+		restartCountdown();
+	});
+	onControl(btnSkip, () => {
+		breakCard._extra -= breakTimeLeft(breakCard);
+		updateDisplay();
+	});
+
+	// Initial render & start
+	restartCountdown();
+	updateDisplay();
+}
+
+// ==========================================================================
+//  Workout Flow (Start, End, Complete Row)
+// ==========================================================================
+
+/**
+ * Finds the row that follows a finished one. Inside a superset or circuit the
+ * exercises take turns: each one still a set behind this one comes next, then
+ * the rest, then the next round. After the last round the workout carries on
+ * below the group.
+ * @param {Array<HTMLElement>} cards - The cards in list order.
+ * @param {number} idx - The index of the finished row.
+ * @returns {number} The index of the next row, or -1 after the last one.
+ */
+function nextRowIndex(cards, idx) {
+	const card = cards[idx];
+	const group = card.dataset.group ? cardGroup(card) : null;
+	const after = i => i + 1 < cards.length ? i + 1 : -1;
+	if (!group) return after(idx);
+
+	const done = c => c.querySelectorAll('.set-row.set-done').length;
+	const pending = group.exercises.filter(activeSetRow);
+	if (!pending.length) return after(cards.indexOf(group.cards[group.cards.length - 1]));
+
+	if (card !== group.rest) {
+		const inRound = pending.find(c => cards.indexOf(c) > idx && done(c) < done(card));
+		if (inRound) return cards.indexOf(inRound);
+		if (group.rest) return cards.indexOf(group.rest);
+	}
+	// Next round: the exercise furthest behind, first in the group on a tie
+	const behind = pending.reduce((a, b) => done(b) < done(a) ? b : a);
+	return cards.indexOf(behind);
+}
+
+/**
+ * Starts a row while the workout runs: its stopwatch, and its countdown if
+ * it's a break. A group's rest comes round again after every round.
+ * @param {HTMLElement} card - The card.
+ * @param {number} index - Its index in the list.
+ * @param {number} [at=Date.now()] - The timestamp the row started at.
+ */
+function enterRow(card, index, at = Date.now()) {
+	startRowTimer(index, at);
+	if (!card.classList.contains('break-card')) return;
+	if (card.classList.contains('break-done')) {
+		card.classList.remove('break-done');
+		const doneBtn = card.querySelector('.row-done-btn');
+		if (doneBtn) doneBtn.style.display = '';
+	}
+	resetBreakCountdown(card);
+	startBreakCountdown(card, at);
+}
+
+/**
+ * Handles manually completing a row (exercise or break).
+ * @param {HTMLElement} card - The card to complete.
+ */
+function completeRow(card) {
+	const container = $('workoutListContainer');
+	const cards = Array.from(container.children);
+	const idx = cards.indexOf(card);
+	if (idx < 0) return;
+
+	const now = Date.now();
+
+	if (card.classList.contains('break-card')) {
+		// If it's a break, stop its countdown
+		if (card._countdown) {
+			if (card._countdown !== 'paused') clearInterval(card._countdown);
+			card._countdown = null;
+		}
+		if (card._countdownClock) pauseClock(card._countdownClock, now);
+		card.classList.remove('break-warning');
+		card.classList.add('break-done');
+	} else {
+		// It's an exercise card: finish the current set, and the card with its last one
+		const pending = Array.from(card.querySelectorAll('.set-row:not(.set-done)'));
+		if (pending.length) {
+			pending[0].classList.add('set-done');
+			if (pending[0]._clock) pauseClock(pending[0]._clock, now);
+		}
+		if (pending.length > 1 && !cardGroup(card)) {
+			// More sets to go: keep the card's timer running and time the next set
+			if (App.rowTimers[idx]) {
+				pending[1]._clock = createClock(0, now);
+				resumeClock(pending[1]._clock, now);
+			}
+			renderRowTime(card);
+			return;
+		}
+		// A grouped exercise with sets to go comes round again in the next round
+		if (pending.length <= 1) card.classList.add('exercise-done');
+	}
+
+	// Hide the "Done" button once the row is finished
+	const doneBtn = card.querySelector('.row-done-btn');
+	if (doneBtn && !activeSetRow(card)) {
+		doneBtn.style.display = 'none';
+	}
+
+	stopRowTimer(idx, now); // Stop this row's stopwatch
+
+	// --- Auto-advance to the next row ---
+	const next = nextRowIndex(cards, idx);
+	if (next >= 0) {
+		if(App.workoutStarted){
+			enterRow(cards[next], next, now); // Start next row's stopwatch (and countdown)
+		}
+		else{
+			App.activeRowIndex = next;
+		}
+	} else {
+		// This was the last row, end the workout
+		pauseWorkout(); // <-- PAUSE instead of hard stop
+		
+		const btn = $('startWorkoutBtn');
+		btn.textContent = 'Start'; // Reset button to 'Start'
+		btn.dataset.active = 'false';
+		btn.classList.remove('end');
+		// document.body.classList.remove('show-workout'); // Don't remove this, user might want to save
+	}
+}
+
+/** Pauses the global timer and all active row/break timers. */
+function pauseWorkout() {
+	const cards = Array.from($('workoutListContainer').children);
+
+	// Stop all row timers (pauses them)
+	App.rowTimers.forEach((id, i) => {
+		if (id) {
+			clearInterval(id);
+			App.rowTimers[i] = null;
+			if (cards[i]) pauseRowClocks(cards[i]);
+		}
+	});
+	// By NOT calling stopRowTimer(), App.activeRowIndex is preserved.
+	
+	App.workoutStarted = false; // Set state to "not running"
+	stopWorkoutTimer(); // Pauses global timer
+
+	// Find any active break countdowns and "pause" them
+	cards.forEach(card => {
+		if (card.classList.contains('break-card') && card._countdown && !card.classList.contains('break-done')) {
+			if (card._countdown !== 'paused') clearInterval(card._countdown);
+			if (card._countdownClock) pauseClock(card._countdownClock);
+			card._countdown = 'paused'; // Use a string flag to indicate it's pausable
+		}
+	});
+	scheduleCheckpoint();
+}
+
+/**
+ * Toggles the workout state (Start, Pause, Resume).
+ */
+function startWorkout() {
+	const btn = $('startWorkoutBtn');
+	const container = $('workoutListContainer');
+	const cards = Array.from(container.children);
+
+	if (btn.dataset.active === 'true') {
+		// --- PAUSING WORKOUT ---
+		// MODAL REMOVED
+		pauseWorkout();
+		btn.textContent = 'Resume'; // Change text to "Resume"
+		btn.dataset.active = 'false';
+		btn.classList.remove('end');
+		// document.body.classList.remove('show-workout'); // Keep UI active
+		return;
+	}
+
+	// --- STARTING / RESUMING WORKOUT ---
+	if (!cards.length) {
+		showModal('Add at least one exercise first.');
+		return;
+	}
+
+	// Check if it's a fresh start or a resume
+	const isFreshStart = !App.workoutStarted && !App.workoutClock;
+
+	if (isFreshStart) {
+		// --- FRESH START ---
+		document.body.classList.add('show-workout');
+		// Add "Done" buttons and timers to all cards
+		cards.forEach(card => {
+			ensureTimeCell(card); // Ensure time cell exists FIRST
+			createDoneButton(card);
+			const rail = card.querySelector('.card-action-rail');
+			if (rail) rail.classList.add('workout-active');
+		});
+
+		// Start the first card
+		startRowTimer(0);
+		const first = cards[0];
+		if (first && first.classList.contains('break-card')) {
+			resetBreakCountdown(first);
+			startBreakCountdown(first);
+		}
+		
+		$('workoutTotalTimer').style.display = 'block';
+		$('workoutTotalTimer').textContent = 'Total Time: 00:00';
+		App.workoutClock = null; // <-- Explicitly reset here, startWorkoutTimer() creates a new clock
+	
+	} else {
+		// --- RESUMING ---
+		// Resume the active row timer
+		if (App.activeRowIndex !== null) {
+			startRowTimer(App.activeRowIndex);
+		}
+		// Resume any active break countdowns
+		cards.forEach(card => {
+			if (card.classList.contains('break-card') && card._countdown === 'paused') {
+				card._countdown = null; // Clear the 'paused' flag
+				startBreakCountdown(card); // This function will pick up where it left off
+			}
+		});
+	}
+
+	// This runs for both Fresh Start and Resume
+	btn.textContent = 'End';
+	btn.dataset.active = 'true';
+	btn.classList.add('end');
+	App.workoutStarted = true;
+	startWorkoutTimer();
+	scheduleCheckpoint();
+}
+
+/**
+ * Cleans up the UI and state when a workout ends.
+ */
+function endWorkout() {
+	// Stop all row timers
+	App.rowTimers.forEach((id, i) => {
+		if (id) stopRowTimer(i);
+	});
+	App.activeRowIndex = null;
+	App.workoutStarted = false;
+	stopWorkoutTimer();
+
+	// Clear break countdowns and reset their UI
+	const cards = Array.from($('workoutListContainer').children);
+	cards.forEach(card => {
+		// Only reset the UI for breaks that were *in progress*
+		if (card.classList.contains('break-card') && card._countdown && !card.classList.contains('break-done')) {
+			if (card._countdown !== 'paused') clearInterval(card._countdown);
+			card._countdown = null;
+			resetBreakCountdown(card);
+			const cell = card.querySelector('.break-body');
+			const duration = card.dataset.plannedDuration || 60;
+			if (cell) {
+				cell.innerHTML = `Break: <input type="number" min="1" value="${duration}"> sec`;
+			}
+		}
+
+		// Remove "Done" button and active rail state
+		const doneBtn = card.querySelector('.row-done-btn');
+		if (doneBtn) doneBtn.remove();
+		const rail = card.querySelector('.card-action-rail');
+		if (rail) rail.classList.remove('workout-active');
+	});
+}
+
+// ==========================================================================
+//  Session Checkpoint (crash recovery)
+// ==========================================================================
+
+/**
+ * Writes the current plan and timer state to localStorage, so the session can be
+ * restored if the browser kills the tab. An empty plan clears the checkpoint,
+ * unless it holds a session the user put off restoring (see offerSessionRestore()),
+ * which is kept until a new plan replaces it.
+ */
+function checkpointSession() {
+	const cards = Array.from($('workoutListContainer').children);
+	if (!cards.length && App.editId == null) {
+		if (!App.sessionKept) clearSession();
+		return;
+	}
+	App.sessionKept = false;
+
+	const session = {
+		savedAt: new Date().toISOString(),
+		started: document.body.classList.contains('show-workout'),
+		running: App.workoutStarted,
+		workoutClock: App.workoutClock,
+		activeRowIndex: App.activeRowIndex,
+		editId: App.editId,
+		items: readPlan(),
+		states: cards.map(card => {
+			const done = card.classList.contains('exercise-done') || card.classList.contains('break-done');
+			return {
+				done,
+				setsDone: card.querySelectorAll('.set-row.set-done').length,
+				clock: card._clock || null,
+				setClocks: Array.from(card.querySelectorAll('.set-row')).map(row => row._clock || null),
+				countdownClock: card._countdownClock || null,
+				extra: card._extra || 0,
+				countdown: !!card._countdown && !done
+			};
+		})
+	};
+	try {
+		localStorage.setItem(STORAGE_SESSION_KEY, JSON.stringify(session));
+	} catch (err) {
+		console.error('Session checkpoint failed:', err);
+	}
+}
+
+/** Queues a checkpoint, writing at most twice a second however often it is called. */
+function scheduleCheckpoint() {
+	if (App.checkpointTimerId) return;
+	App.checkpointTimerId = setTimeout(() => {
+		App.checkpointTimerId = null;
+		checkpointSession();
+	}, 500);
+}
+
+/** Removes the stored session checkpoint. */
+function clearSession() {
+	if (App.checkpointTimerId) {
+		clearTimeout(App.checkpointTimerId);
+		App.checkpointTimerId = null;
+	}
+	localStorage.removeItem(STORAGE_SESSION_KEY);
+}
+
+/**
+ * Reads the stored session checkpoint.
+ * @returns {object|null} The session, or null if there is none (or it is unreadable).
+ */
+function loadSession() {
+	try {
+		const session = JSON.parse(localStorage.getItem(STORAGE_SESSION_KEY));
+		return session && Array.isArray(session.items) && session.items.length ? session : null;
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Rebuilds the planning list and timer state from a checkpoint. A session that
+ * was running when it was saved resumes straight away.
+ * @param {object} session - The checkpoint written by checkpointSession().
+ */
+function restoreSession(session) {
+	$('workoutListContainer').innerHTML = '';
+	session.items.forEach(item => {
+		if (item.type === 'break') addBreak(item);
+		else addExercise(item);
+	});
+
+	const cards = Array.from($('workoutListContainer').children);
+	cards.forEach((card, i) => {
+		const item = session.items[i];
+		const state = (session.states || [])[i] || {};
+
+		const td = ensureTimeCell(card);
+		td.dataset.seconds = parseInt(item.time || 0, 10) || 0;
+		td.textContent = fmtTime(td.dataset.seconds);
+
+		if (session.started) {
+			createDoneButton(card);
+			card.querySelector('.card-action-rail').classList.add('workout-active');
+		}
+
+		// Clocks are plain timestamps, so a running one has kept counting while the tab was gone
+		if (state.clock) card._clock = state.clock;
+		card.querySelectorAll('.set-row').forEach((row, si) => {
+			if ((state.setClocks || [])[si]) row._clock = state.setClocks[si];
+		});
+		renderRowTime(card);
+
+		if (card.classList.contains('break-card')) {
+			card.dataset.plannedDuration = parseInt(item.duration || 0, 10) || 60;
+			card._countdownClock = state.countdownClock || null;
+			card._extra = state.extra || 0;
+			// Picked up again by the resume branch of startWorkout()
+			if (state.countdown) card._countdown = 'paused';
+		}
+
+		Array.from(card.querySelectorAll('.set-row')).slice(0, state.setsDone || 0)
+			.forEach(row => row.classList.add('set-done'));
+		if (state.done) {
+			card.classList.add(card.classList.contains('break-card') ? 'break-done' : 'exercise-done');
+			const doneBtn = card.querySelector('.row-done-btn');
+			if (doneBtn) doneBtn.style.display = 'none';
+		}
+	});
+
+	App.workoutClock = session.workoutClock || null;
+	App.activeRowIndex = session.activeRowIndex ?? null;
+	App.editId = App.workouts.some(w => w.id === session.editId) ? session.editId : null;
+	$('cancelEditBtn').style.display = App.editId != null ? 'inline-block' : 'none';
+
+	if (session.started) {
+		document.body.classList.add('show-workout');
+		$('workoutTotalTimer').style.display = 'block';
+		$('workoutTotalTimer').textContent = 'Total Time: ' + fmtTime(App.workoutClock ? clockSeconds(App.workoutClock) : 0);
+		$('startWorkoutBtn').textContent = 'Resume';
+	}
+	if (session.running) {
+		startWorkout();
+	}
+}
+
+/** Timer displays, which change every second; their clocks are checkpointed as timestamps anyway. */
+const TICKING_DISPLAYS = '.time-display, .set-time, .break-countdown';
+
+/** Starts checkpointing whenever the plan, its inputs or the workout state change. */
+function watchSession() {
+	const container = $('workoutListContainer');
+	const ticking = m => (m.target.nodeType === Node.TEXT_NODE ? m.target.parentElement : m.target)?.closest(TICKING_DISPLAYS);
+	new MutationObserver(mutations => {
+		if (!mutations.every(ticking)) scheduleCheckpoint();
+	}).observe(container, {
+		childList: true, subtree: true, attributes: true, characterData: true
+	});
+	container.addEventListener('input', scheduleCheckpoint);
+	container.addEventListener('change', scheduleCheckpoint);
+
+	// The tab may never come back from the background, so write immediately
+	document.addEventListener('visibilitychange', () => {
+		if (document.visibilityState === 'hidden') checkpointSession();
+	});
+	window.addEventListener('pagehide', checkpointSession);
+}
+
+/** Offers to restore an unfinished session on startup, then starts checkpointing. */
+function offerSessionRestore() {
+	const session = loadSession();
+	if (!session) {
+		watchSession();
+		return;
+	}
+
+	const when = new Date(session.savedAt).toLocaleString();
+	const text = session.started
+		? `You have an unfinished workout from ${when}. Resume your workout?`
+		: `You have an unsaved plan from ${when}. Restore it?`;
+
+	// Only this button throws the session away; Cancel (or tapping outside) keeps it for later
+	const discard = create('button', { type: 'button', class: 'delete-btn session-discard-btn' }, session.started ? 'Discard workout' : 'Discard plan');
+	discard.addEventListener('click', () => {
+		hideModal();
+		clearSession();
+		watchSession();
+		showSnackbar(session.started ? 'Unfinished workout discarded' : 'Unsaved plan discarded', 'Undo', () => {
+			restoreSession(session);
+			checkpointSession();
+		});
+	});
+	showFormModal(`${text} Cancel keeps it for later.`, discard, () => {
+		restoreSession(session);
+		watchSession();
+	}, () => {
+		App.sessionKept = true;
+		watchSession();
+	});
+}
+
+// ==========================================================================
+//  Undo / Redo
+// ==========================================================================
+
+/**
+ * Adds a command to the undo history and offers to undo it in the snackbar.
+ * @param {string} label - What was done, e.g. 'Workout deleted'.
+ * @param {function(): (boolean|void)} undo - Reverts it; returns false if it can't any more.
+ * @param {function(): (boolean|void)} redo - Does it again; returns false if it can't any more.
+ * @param {object} [options]
+ * @param {string} [options.scope='data'] - 'plan' for the planning list (forgotten when it is cleared), 'data' for saved data.
+ * @param {boolean} [options.quiet=false] - Don't show the snackbar (for small edits).
+ */
+function recordCommand(label, undo, redo, { scope = 'data', quiet = false } = {}) {
+	const commands = App.commands;
+	if (commands.replaying) return;
+	commands.done.push({ label, undo, redo, scope });
+	// Each scope has its own limit, so a run of field edits can't push out a deleted workout
+	const ofScope = commands.done.filter(cmd => cmd.scope === scope);
+	if (ofScope.length > UNDO_LIMIT) commands.done.splice(commands.done.indexOf(ofScope[0]), 1);
+	commands.undone = [];
+	renderUndoButtons();
+	if (!quiet) showSnackbar(label, 'Undo', undoCommand);
+}
+
+/**
+ * Runs an undo or redo step without recording what it changes as new commands.
+ * @param {function(): (boolean|void)} step - The step; returns false if it can't be done.
+ * @returns {boolean} False if the step couldn't be done.
+ */
+function replayCommand(step) {
+	App.commands.replaying = true;
+	try {
+		return step() !== false;
+	} finally {
+		App.commands.replaying = false;
+	}
+}
+
+/** Undoes the latest command. One that can't be undone any more is dropped. */
+function undoCommand() {
+	const cmd = App.commands.done.pop();
+	if (!cmd) return;
+	if (replayCommand(cmd.undo)) {
+		App.commands.undone.push(cmd);
+		showSnackbar(`Undone: ${cmd.label}`, 'Redo', redoCommand);
+	}
+	renderUndoButtons();
+}
+
+/** Redoes the latest undone command. One that can't be redone any more is dropped. */
+function redoCommand() {
+	const cmd = App.commands.undone.pop();
+	if (!cmd) return;
+	if (replayCommand(cmd.redo)) {
+		App.commands.done.push(cmd);
+		showSnackbar(`Redone: ${cmd.label}`, 'Undo', undoCommand);
+	}
+	renderUndoButtons();
+}
+
+/** Drops the planning commands, whose cards are gone once the plan is saved or cleared. */
+function forgetPlanCommands() {
+	const keep = cmd => cmd.scope !== 'plan';
+	App.commands.done = App.commands.done.filter(keep);
+	App.commands.undone = App.commands.undone.filter(keep);
+	renderUndoButtons();
+}
+
+/** Enables the Undo and Redo buttons when there is something to undo or redo. */
+function renderUndoButtons() {
+	const last = list => list[list.length - 1];
+	const undo = last(App.commands.done);
+	const redo = last(App.commands.undone);
+	$('undoBtn').disabled = !undo;
+	$('undoBtn').title = undo ? `Undo: ${undo.label}` : 'Undo';
+	$('redoBtn').disabled = !redo;
+	$('redoBtn').title = redo ? `Redo: ${redo.label}` : 'Redo';
+}
+
+/**
+ * Shows a message with one action at the bottom of the screen for a few seconds.
+ * @param {string} text - The message.
+ * @param {string} actionLabel - The action button's text.
+ * @param {function} onAction - Called when the action is tapped.
+ */
+function showSnackbar(text, actionLabel, onAction) {
+	$('snackbarText').textContent = text;
+	const action = $('snackbarAction');
+	action.textContent = actionLabel;
+	action.onclick = () => {
+		hideSnackbar();
+		onAction();
+	};
+	$('snackbar').classList.add('visible');
+	clearTimeout(App.commands.snackbarTimerId);
+	App.commands.snackbarTimerId = setTimeout(hideSnackbar, SNACKBAR_MS);
+}
+
+/** Hides the snackbar. */
+function hideSnackbar() {
+	clearTimeout(App.commands.snackbarTimerId);
+	$('snackbar').classList.remove('visible');
+}
+
+/**
+ * Stores a workout for comparison, without its records, which are recomputed from the whole history anyway.
+ * @param {object} w - The workout.
+ * @returns {string} The workout as JSON.
+ */
+const workoutJSON = w => JSON.stringify({ ...w, records: undefined });
+
+/**
+ * Copies what a history change (save, delete, import...) can touch, so
+ * recordDataChange() can work out what it did.
+ * @returns {object} {workouts (id -> JSON, see workoutJSON()), order (workout IDs),
+ *   routines and customExercises (JSON), settings (key -> JSON)}.
+ */
+function snapshotData() {
+	const settings = {};
+	Object.keys(App.settings).filter(key => !DEVICE_SETTINGS.includes(key))
+		.forEach(key => { settings[key] = JSON.stringify(App.settings[key]); });
+	return {
+		workouts: new Map(App.workouts.map(w => [w.id, workoutJSON(w)])),
+		order: App.workouts.map(w => w.id),
+		routines: JSON.stringify(App.routines),
+		customExercises: JSON.stringify(App.customExercises),
+		settings
+	};
+}
+
+/**
+ * Works out what a history change did from snapshots taken before and after it.
+ * @param {object} before - snapshotData() from before the change.
+ * @param {object} after - snapshotData() from after it.
+ * @returns {object} The change, with `before` and `after` versions (JSON, or
+ *   undefined for none) of only what changed: {workouts: [{id, before, after}],
+ *   order: {before, after}, routines, customExercises, settings: {key: {before, after}}}.
+ */
+function diffData(before, after) {
+	const changed = (a, b) => [...new Set([...a, ...b])];
+	const part = key => before[key] === after[key] ? null : { before: before[key], after: after[key] };
+	const settings = {};
+	changed(Object.keys(before.settings), Object.keys(after.settings))
+		.filter(key => before.settings[key] !== after.settings[key])
+		.forEach(key => { settings[key] = { before: before.settings[key], after: after.settings[key] }; });
+	return {
+		workouts: changed(before.workouts.keys(), after.workouts.keys())
+			.filter(id => before.workouts.get(id) !== after.workouts.get(id))
+			.map(id => ({ id, before: before.workouts.get(id), after: after.workouts.get(id) })),
+		order: { before: before.order, after: after.order },
+		routines: part('routines'),
+		customExercises: part('customExercises'),
+		settings
+	};
+}
+
+/**
+ * Undoes (or redoes) a history change, touching only what it changed. If any
+ * of that was changed again since, nothing is done, rather than silently
+ * reverting the newer change too.
+ * @param {object} change - See diffData().
+ * @param {string} to - 'before' to undo the change, 'after' to redo it.
+ * @returns {boolean} False if it was refused.
+ */
+function applyDataChange(change, to) {
+	const from = to === 'before' ? 'after' : 'before';
+	const now = snapshotData();
+	const stale = change.workouts.some(c => now.workouts.get(c.id) !== c[from]) ||
+		['routines', 'customExercises'].some(key => change[key] && now[key] !== change[key][from]) ||
+		Object.entries(change.settings).some(([key, c]) => now.settings[key] !== c[from]);
+	if (stale) return false;
+
+	const order = change.order[to];
+	change.workouts.forEach(c => {
+		const index = App.workouts.findIndex(w => w.id === c.id);
+		if (index >= 0) App.workouts.splice(index, 1);
+		if (c[to] === undefined) return;
+		// Back in its place: before the first workout that followed it then and is here now
+		const next = order.slice(order.indexOf(c.id) + 1)
+			.map(id => App.workouts.findIndex(w => w.id === id)).find(i => i >= 0);
+		App.workouts.splice(next ?? App.workouts.length, 0, JSON.parse(c[to]));
+	});
+	if (change.routines) App.routines = JSON.parse(change.routines[to]);
+	if (change.customExercises) App.customExercises = JSON.parse(change.customExercises[to]);
+	Object.entries(change.settings).forEach(([key, c]) => {
+		if (c[to] === undefined) delete App.settings[key];
+		else App.settings[key] = JSON.parse(c[to]);
+	});
+	if (App.editId != null && !App.workouts.some(w => w.id === App.editId)) {
+		App.editId = null; // Gone: the plan is saved as a new workout
+		$('cancelEditBtn').style.display = 'none';
+	}
+
+	recomputeRecords();
+	saveWorkouts();
+	if (change.routines) saveRoutines();
+	if (change.customExercises) saveCustomExercises();
+	markHistoryDirty();
+	renderSettings();
+	applyAppearance();
+	renderRoutineSelect();
+	refreshCatalog();
+	renderHistory();
+	updateExerciseSelector();
+	renderProgress();
+	return true;
+}
+
+/**
+ * Records a change to saved data as undoable. Only the workouts (and other
+ * data) it changed are kept, to be put back on undo.
+ * @param {string} label - What was done.
+ * @param {object} before - snapshotData() from before the change.
+ */
+function recordDataChange(label, before) {
+	const change = diffData(before, snapshotData());
+	const apply = to => {
+		if (applyDataChange(change, to)) return true;
+		showModal(`"${label}" can't be ${to === 'before' ? 'undone' : 'redone'} any more, as what it changed was changed again since.`);
+		return false;
+	};
+	recordCommand(label, () => apply('before'), () => apply('after'));
+}
+
+/**
+ * Puts a card (back) into the planning list, keeping the indexes of the
+ * running row and its timers in step.
+ * @param {HTMLElement} card - The card.
+ * @param {number} index - Its position.
+ */
+function insertPlanCard(card, index) {
+	const container = $('workoutListContainer');
+	container.insertBefore(card, container.children[index] || null);
+	App.rowTimers.splice(index, 0, null);
+	if (App.activeRowIndex != null && App.activeRowIndex >= index) App.activeRowIndex++;
+
+	// A card removed before the workout started needs its workout controls now
+	if (document.body.classList.contains('show-workout') && !card.querySelector('.row-done-btn')) {
+		ensureTimeCell(card);
+		const doneBtn = createDoneButton(card);
+		if (card.classList.contains('exercise-done') || card.classList.contains('break-done')) doneBtn.style.display = 'none';
+		card.querySelector('.card-action-rail').classList.add('workout-active');
+	}
+}
+
+/**
+ * Takes a card out of the planning list, stopping its timers and keeping the
+ * indexes of the running row and its timers in step.
+ * @param {HTMLElement} card - The card.
+ * @returns {number} Its position, or -1 if it wasn't in the list.
+ */
+function detachPlanCard(card) {
+	const index = Array.from($('workoutListContainer').children).indexOf(card);
+	if (index < 0) return -1;
+
+	if (App.activeRowIndex === index) stopRowTimer(index);
+	if (card._countdown) {
+		if (card._countdown !== 'paused') clearInterval(card._countdown);
+		if (card._countdownClock) pauseClock(card._countdownClock);
+		card._countdown = 'paused';
+	}
+	App.rowTimers.splice(index, 1);
+	if (App.activeRowIndex != null && App.activeRowIndex > index) App.activeRowIndex--;
+	card.remove();
+	return index;
+}
+
+/**
+ * Moves a card to another position in the planning list. The running row and
+ * the row timers follow the cards, so auto-advance continues from the moved
+ * card in its new place.
+ * @param {HTMLElement} card - The card.
+ * @param {number} to - Its new position.
+ */
+function movePlanCard(card, to) {
+	const container = $('workoutListContainer');
+	const cards = Array.from(container.children);
+	const from = cards.indexOf(card);
+	if (from < 0 || from === to) return;
+
+	const timers = new Map(cards.map((c, i) => [c, App.rowTimers[i] || null]));
+	const active = App.activeRowIndex != null ? cards[App.activeRowIndex] : null;
+	cards.splice(from, 1);
+	cards.splice(to, 0, card);
+	container.insertBefore(card, cards[to + 1] || null);
+
+	App.rowTimers = cards.map(c => timers.get(c));
+	if (active) App.activeRowIndex = cards.indexOf(active);
+}
+
+/**
+ * Records a card that was moved in the planning list as undoable.
+ * @param {HTMLElement} card - The card, already in its new place.
+ * @param {number} from - Its position before the move.
+ */
+function recordPlanCardMoved(card, from) {
+	const to = Array.from($('workoutListContainer').children).indexOf(card);
+	if (to < 0 || to === from) return;
+	const label = card.classList.contains('break-card') ? 'Break moved' : 'Exercise moved';
+	recordCommand(label, () => movePlanCard(card, from), () => movePlanCard(card, to), { scope: 'plan', quiet: true });
+}
+
+/**
+ * Removes a card from the planning list, undoably.
+ * @param {HTMLElement} card - The card.
+ */
+function removePlanCard(card) {
+	let index = detachPlanCard(card);
+	if (index < 0) return;
+	const label = card.classList.contains('break-card') ? 'Break removed' : 'Exercise removed';
+	recordCommand(label, () => insertPlanCard(card, index), () => { index = detachPlanCard(card); }, { scope: 'plan' });
+}
+
+/**
+ * Records a card just added to the planning list as undoable.
+ * @param {HTMLElement} card - The new card.
+ * @param {string} label - What was done.
+ */
+function recordPlanCardAdded(card, label) {
+	let index = Array.from($('workoutListContainer').children).indexOf(card);
+	recordCommand(label, () => { index = detachPlanCard(card); }, () => insertPlanCard(card, index), { scope: 'plan' });
+}
+
+/**
+ * Records edits to the planning list's fields (names, reps, weights...) as
+ * undoable. They are undone with the Undo button or Ctrl+Z, without a snackbar
+ * for every field.
+ */
+function watchPlanEdits() {
+	const container = $('workoutListContainer');
+	const values = new WeakMap(); // Each field's value before the current edit
+	const valueOf = el => el.type === 'checkbox' ? el.checked : el.value;
+
+	container.addEventListener('focusin', e => {
+		if (e.target.matches('input, select')) values.set(e.target, valueOf(e.target));
+	});
+	container.addEventListener('change', e => {
+		const el = e.target;
+		// Group bars are rebuilt all the time, so their settings record their own commands
+		if (App.commands.replaying || !el.matches('input, select') || el.closest('.group-bar')) return;
+		const after = valueOf(el);
+		const before = el.type === 'checkbox' ? !after : values.get(el);
+		values.set(el, after);
+		if (before === undefined || before === after) return;
+
+		// Replays through the same events as typing, so dependent inputs (drop sets...) follow
+		const set = value => {
+			if (el.type === 'checkbox') el.checked = value;
+			else el.value = value;
+			values.set(el, value);
+			el.dispatchEvent(new Event('input', { bubbles: true }));
+			el.dispatchEvent(new Event('change', { bubbles: true }));
+		};
+		recordCommand('Edit', () => set(before), () => set(after), { scope: 'plan', quiet: true });
+	});
+}
+
+// ==========================================================================
+//  Save / Edit / Delete / Cancel
+// ==========================================================================
+
+/**
+ * Reads every card in the planning list into exercise and break objects.
+ * @returns {Array<object>} The plan, in card order.
+ */
+function readPlan() {
+	const groupIds = planGroupIds();
+	return Array.from($('workoutListContainer').children).map(card => {
+		const secs = elapsedSeconds(card, card.querySelector('.time-display'));
+		const group = groupIds.has(card) ? { group: groupIds.get(card) } : {};
+
+		if (card.classList.contains('break-card')) {
+			// Break data
+			const planned = parseInt(card.dataset.plannedDuration || 0, 10) || (parseInt(card.querySelector('.break-body input')?.value || 0, 10) || 0);
+			return { type: 'break', duration: planned, time: secs, ...group };
+		}
+		// Exercise data
+		return { ...readExerciseCard(card), ...group };
+	});
+}
+
+/**
+ * Saves the current workout plan (or edited workout) to history.
+ * @returns {Promise<void>}
+ */
+async function saveWorkout() {
+	// End workout to freeze timers if active
+	if (App.workoutStarted) {
+		endWorkout();
+	}
+
+	const container = $('workoutListContainer');
+	const cards = Array.from(container.children);
+	if (!cards.length) { 
+		showModal('Add at least one exercise!'); 
+		return; 
+	}
+
+	// Read data from all cards
+	const exercises = readPlan();
+	const editId = App.editId;
+
+	// Compute total time
+	let totalTime = App.workoutClock && clockSeconds(App.workoutClock) > 0 
+		? clockSeconds(App.workoutClock) 
+		: exercises.reduce((s, ex) => s + (parseInt(ex.time || 0, 10) || 0), 0);
+
+	// Reset planning area (first, so the plan can't be saved twice)
+	$('workoutListContainer').innerHTML = '';
+	forgetPlanCommands();
+	App.editId = null;
+	$('cancelEditBtn').style.display = 'none';
+	App.workoutClock = null;
+	App.workoutStarted = false;
+	$('workoutTotalTimer').style.display = 'none';
+	document.body.classList.remove('show-workout');
+
+	const btn = $('startWorkoutBtn');
+	btn.textContent = 'Start';
+	btn.dataset.active = 'false';
+	btn.classList.remove('end');
+
+	// An edited workout keeps its ID and the date it was logged on; if it was deleted meanwhile, it's saved as new
+	const existing = editId != null ? await getWorkout(editId) : null;
+	const before = snapshotData();
+	const saved = existing
+		? { ...existing, exercises, updatedAt: new Date().toISOString(), totalTime }
+		: { id: makeId('w'), date: new Date().toISOString(), exercises, totalTime };
+
+	// Records depend on the whole history, so an edit may also change later workouts
+	const recordsBefore = existing?.records || [];
+	putWorkouts([saved]);
+	const prs = newRecords(saved, recordsBefore);
+
+	markHistoryDirty();
+	renderHistory();
+	updateExerciseSelector();
+	renderProgress(); // Update charts
+	recordDataChange(existing ? 'Workout updated' : 'Workout saved', before);
+	clearSession();
+
+	if (prs.length) {
+		showModal(`New personal record${prs.length > 1 ? 's' : ''}!\n\n${prs.map(describeRecord).join('\n')}`);
+	}
+}
+
+/**
+ * Loads a workout from history into the planning area for editing.
+ * @param {string} id - The workout's ID.
+ * @returns {Promise<void>}
+ */
+async function editWorkout(id) {
+	const w = await getWorkout(id);
+	if (!w) return;
+
+	const container = $('workoutListContainer');
+	container.innerHTML = ''; // Clear planning area
+	forgetPlanCommands();
+	
+	// If a workout is active, end it
+	if (App.workoutStarted) {
+		endWorkout();
+		const btn = $('startWorkoutBtn');
+		btn.textContent = 'Start';
+		btn.dataset.active = 'false';
+		btn.classList.remove('end');
+		document.body.classList.remove('show-workout');
+	}
+
+	// Re-create cards from history data
+	(w.exercises || []).forEach(ex => {
+		if (ex.type === 'break') addBreak(ex);
+		else addExercise(ex);
+	});
+	
+	App.editId = id;
+	$('cancelEditBtn').style.display = 'inline-block';
+	$('workoutTotalTimer').style.display = 'block';
+	$('workoutTotalTimer').textContent = 'Total Time: ' + fmtTime(w.totalTime || 0);
+
+	// Restore time displays and break data
+	const cards = Array.from($('workoutListContainer').children);
+	cards.forEach((card, i) => {
+		const original = (w.exercises || [])[i];
+		if (!original) return;
+		
+		const td = ensureTimeCell(card);
+		if (td) {
+			td.dataset.seconds = parseInt(original.time || 0, 10) || 0;
+			td.textContent = fmtTime(parseInt(original.time || 0, 10) || 0);
+		}
+
+		if (card.classList.contains('break-card')) {
+			card.dataset.plannedDuration = parseInt(original.duration || 0, 10) || 0;
+		}
+	});
+}
+
+/**
+ * Deletes a workout from history. There is no confirmation; the snackbar
+ * offers to undo it instead.
+ * @param {string} id - The workout's ID.
+ * @returns {Promise<void>}
+ */
+async function deleteWorkout(id) {
+	if (!await getWorkout(id)) return;
+	const before = snapshotData();
+	deleteWorkouts([id]);
+	markHistoryDirty();
+	renderHistory();
+	updateExerciseSelector();
+	renderProgress();
+	recordDataChange('Workout deleted', before);
+}
+
+/** Cancels the editing state and clears the planning area. */
+function cancelEdit() {
+	App.editId = null;
+	$('cancelEditBtn').style.display = 'none';
+	$('workoutListContainer').innerHTML = '';
+	forgetPlanCommands();
+	$('workoutTotalTimer').style.display = 'none';
+	App.workoutStarted = false;
+	App.workoutClock = null;
+	clearSession();
+}
+
+// ==========================================================================
+//  Personal Records
+// ==========================================================================
+
+/** Record types detected for each exercise, in display order. */
+const RECORD_TYPES = {
+	weight: { label: 'Heaviest weight', badge: 'Weight' },
+	reps: { label: 'Most reps', badge: 'Reps' },
+	setVolume: { label: 'Best set volume', badge: 'Set vol.' },
+	sessionVolume: { label: 'Best session volume', badge: 'Session vol.' },
+	e1rm: { label: 'Best est. 1RM', badge: '1RM' }
+};
+
+/**
+ * The name exercises are grouped by for records and charts: the catalog name
+ * for exercises linked to the catalog, so "Bench" and "bench press" count as one.
+ * @param {object} ex - The exercise object.
+ * @returns {string} The catalog name, or else the trimmed exercise name.
+ */
+const exerciseKey = ex => catalogExercise(ex.catalogId)?.name || (ex.name || '').trim();
+
+/**
+ * Timestamps for ordering workouts chronologically. Workouts without a usable
+ * date sort right after the dated workout before them.
+ * @param {Array<object>} workouts - The workouts.
+ * @returns {Array<number>} One timestamp per workout.
+ */
+function workoutTimes(workouts) {
+	let last = -Infinity;
+	return workouts.map(w => {
+		const t = Date.parse(w.date);
+		if (!isNaN(t)) last = t;
+		return isNaN(t) ? last : t;
+	});
+}
+
+/**
+ * Formats a record for display.
+ * @param {object} r - The record ({name, type, value, weight, unit}).
+ * @returns {string} E.g. "Squat: Most reps — 8 @ 100 kg".
+ */
+function describeRecord(r) {
+	const unit = displayUnit(r.unit);
+	const value = r.type === 'reps'
+		? `${r.value} @ ${displayWeight(r.weight, r.unit)} ${unit}`
+		: `${displayWeight(r.value, r.unit)} ${unit}`;
+	return `${r.name}: ${RECORD_TYPES[r.type].label} — ${value}`;
+}
+
+/**
+ * Walks the history in chronological order and stores on each workout the
+ * personal records it set (`workout.records`). The first session of an exercise
+ * only sets the baseline. Run after any change to history, so edits and
+ * deletions are reflected everywhere.
+ * @param {Array<object>} [workouts=App.workouts] - The workouts to update.
+ */
+function recomputeRecords(workouts = App.workouts) {
+	const times = workoutTimes(workouts);
+	const order = workouts.map((w, i) => i).sort((a, b) => (times[a] - times[b]) || (a - b));
+	const bests = new Map(); // exercise name -> { weight, setVolume, sessionVolume, e1rm, repsAt: Map(weight -> reps) }
+
+	order.forEach(i => {
+		const w = workouts[i];
+		const records = [];
+
+		// Group the workout's exercises by name (an exercise may appear twice in one session)
+		const byName = new Map();
+		(w.exercises || []).filter(ex => ex.type !== 'break' && exerciseKey(ex)).forEach(ex => {
+			const key = exerciseKey(ex);
+			if (!byName.has(key)) byName.set(key, []);
+			byName.get(key).push(ex);
+		});
+
+		byName.forEach((exs, name) => {
+			// Everything is compared in kg; records are stored in the unit this session was logged in
+			const unit = exerciseUnit(exs[0]);
+			const fromKg = value => convertWeight(value, 'kg', unit);
+			const session = { weight: 0, setVolume: 0, sessionVolume: 0, e1rm: 0, repsAt: new Map() };
+			exs.forEach(ex => {
+				const toKg = value => convertWeight(value, exerciseUnit(ex), 'kg');
+				session.sessionVolume += toKg(exerciseVolume(ex));
+				(ex.sets || []).forEach(set => {
+					session.setVolume = Math.max(session.setVolume, toKg(setVolume(set)));
+					session.e1rm = Math.max(session.e1rm, toKg(setOneRepMax(set)));
+					setEfforts(set).forEach(e => {
+						const weight = toKg(e.weight);
+						session.weight = Math.max(session.weight, weight);
+						session.repsAt.set(weight, Math.max(session.repsAt.get(weight) || 0, e.reps));
+					});
+				});
+			});
+
+			const prev = bests.get(name);
+			if (prev) {
+				if (session.weight > prev.weight) records.push({ name, type: 'weight', value: fromKg(session.weight), unit });
+				// A rep record beats every earlier effort at this weight or heavier
+				// (a first effort at a new top weight is already a weight record)
+				session.repsAt.forEach((reps, weight) => {
+					let prevReps = 0;
+					prev.repsAt.forEach((r, wt) => { if (wt >= weight) prevReps = Math.max(prevReps, r); });
+					if (prevReps > 0 && reps > prevReps) records.push({ name, type: 'reps', value: reps, weight: fromKg(weight), unit });
+				});
+				['setVolume', 'sessionVolume', 'e1rm'].forEach(type => {
+					if (session[type] > prev[type]) records.push({ name, type, value: fromKg(session[type]), unit });
+				});
+			}
+
+			// Merge this session into the running bests
+			const merged = prev || { weight: 0, setVolume: 0, sessionVolume: 0, e1rm: 0, repsAt: new Map() };
+			['weight', 'setVolume', 'sessionVolume', 'e1rm'].forEach(type => { merged[type] = Math.max(merged[type], session[type]); });
+			session.repsAt.forEach((reps, weight) => merged.repsAt.set(weight, Math.max(merged.repsAt.get(weight) || 0, reps)));
+			bests.set(name, merged);
+		});
+
+		w.records = records;
+	});
+}
+
+/**
+ * Lists the records a workout set that it didn't already have, e.g. after an edit.
+ * @param {object} w - The workout.
+ * @param {Array<object>} [before=[]] - The workout's records before the change.
+ * @returns {Array<object>} The new records.
+ */
+function newRecords(w, before = []) {
+	const seen = new Set(before.map(r => `${r.name}|${r.type}|${r.value}|${r.weight ?? ''}`));
+	return (w.records || []).filter(r => !seen.has(`${r.name}|${r.type}|${r.value}|${r.weight ?? ''}`));
+}
+
+// ==========================================================================
+//  Routine Library
+// ==========================================================================
+
+/** Rebuilds the routine picker in the Planning panel's top controls. */
+function renderRoutineSelect() {
+	const select = $('routineSelect');
+	if (!select) return;
+
+	const current = select.value;
+	select.innerHTML = '';
+	select.appendChild(create('option', { value: '', textContent: App.routines.length ? 'Routines…' : 'No saved routines' }));
+
+	App.routines.slice().sort((a, b) => a.name.localeCompare(b.name)).forEach(r => {
+		select.appendChild(create('option', { value: r.id, textContent: r.name }));
+	});
+
+	select.value = App.routines.some(r => r.id === current) ? current : '';
+	updateRoutineButtons();
+}
+
+/** Enables the routine action buttons only when a routine is picked. */
+function updateRoutineButtons() {
+	const picked = !!$('routineSelect')?.value;
+	['loadRoutineBtn', 'renameRoutineBtn', 'duplicateRoutineBtn', 'deleteRoutineBtn'].forEach(id => {
+		if ($(id)) $(id).disabled = !picked;
+	});
+}
+
+/**
+ * Finds a routine by ID.
+ * @param {string} id - The routine ID.
+ * @returns {object|undefined} The routine.
+ */
+const findRoutine = id => App.routines.find(r => r.id === id);
+
+/**
+ * Stores a routine (replacing one with the same ID) and refreshes the picker.
+ * @param {object} routine - The routine object.
+ */
+function storeRoutine(routine) {
+	routine.updated = new Date().toISOString();
+	const i = App.routines.findIndex(r => r.id === routine.id);
+	if (i >= 0) App.routines[i] = routine;
+	else App.routines.push(routine);
+	saveRoutines();
+	renderRoutineSelect();
+	$('routineSelect').value = routine.id;
+	updateRoutineButtons();
+}
+
+/** Saves the cards in the planning list as a named routine (planned values only). */
+function saveCurrentPlanAsRoutine() {
+	const items = readPlan().map(plannedCopy);
+	if (!items.length) {
+		showModal('Add at least one exercise first.');
+		return;
+	}
+
+	showPrompt('Routine name', findRoutine($('routineSelect').value)?.name || '', name => {
+		const existing = App.routines.find(r => r.name.toLowerCase() === name.toLowerCase());
+		if (!existing) {
+			storeRoutine({ id: makeId('r'), name, items });
+			showModal(`Saved routine "${name}".`);
+			return;
+		}
+		showModal(`A routine named "${existing.name}" already exists. Replace it?`, () => {
+			storeRoutine({ ...existing, items });
+			showModal(`Updated routine "${existing.name}".`);
+		}, () => {});
+	});
+}
+
+/**
+ * Appends a routine's exercises and breaks to the planning list.
+ * @param {string} id - The routine ID.
+ */
+function loadRoutine(id) {
+	const routine = findRoutine(id);
+	if (!routine) return;
+	routine.items.map(plannedCopy).forEach(item => {
+		if (item.type === 'break') addBreak(item);
+		else addExercise(item);
+	});
+}
+
+/**
+ * Asks for a new name for a routine.
+ * @param {string} id - The routine ID.
+ */
+function renameRoutine(id) {
+	const routine = findRoutine(id);
+	if (!routine) return;
+	showPrompt('Rename routine', routine.name, name => {
+		if (App.routines.some(r => r.id !== id && r.name.toLowerCase() === name.toLowerCase())) {
+			showModal(`A routine named "${name}" already exists.`);
+			return;
+		}
+		storeRoutine({ ...routine, name });
+	});
+}
+
+/**
+ * Copies a routine under a new name.
+ * @param {string} id - The routine ID.
+ */
+function duplicateRoutine(id) {
+	const routine = findRoutine(id);
+	if (!routine) return;
+	let name = `${routine.name} (copy)`;
+	for (let n = 2; App.routines.some(r => r.name === name); n++) {
+		name = `${routine.name} (copy ${n})`;
+	}
+	storeRoutine({ id: makeId('r'), name, items: routine.items.map(plannedCopy) });
+}
+
+/**
+ * Deletes a routine after confirmation.
+ * @param {string} id - The routine ID.
+ */
+function deleteRoutine(id) {
+	const routine = findRoutine(id);
+	if (!routine) return;
+	showModal(`Delete routine "${routine.name}"?`, () => {
+		App.routines = App.routines.filter(r => r.id !== id);
+		saveRoutines();
+		renderRoutineSelect();
+	}, () => {});
+}
+
+// ==========================================================================
+//  Exercise Catalog
+// ==========================================================================
+
+/** Muscle groups an exercise can work, see EXERCISE_CATALOG. */
+const MUSCLE_GROUPS = {
+	chest: 'Chest',
+	back: 'Back',
+	shoulders: 'Shoulders',
+	biceps: 'Biceps',
+	triceps: 'Triceps',
+	forearms: 'Forearms',
+	abs: 'Abs',
+	quads: 'Quads',
+	hamstrings: 'Hamstrings',
+	glutes: 'Glutes',
+	calves: 'Calves'
+};
+
+/** Equipment an exercise is done with, see EXERCISE_CATALOG. */
+const EQUIPMENT = {
+	barbell: 'Barbell',
+	dumbbell: 'Dumbbell',
+	machine: 'Machine',
+	cable: 'Cable',
+	kettlebell: 'Kettlebell',
+	bodyweight: 'Bodyweight',
+	band: 'Band',
+	other: 'Other'
+};
+
+/**
+ * Built-in exercises. Names typed into a card are matched against `name` and
+ * `aliases`; aliases are only other spellings and abbreviations of the same
+ * lift, as everything logged under them is counted as that exercise (records,
+ * charts). Variations worth tracking apart (chin-ups and pull-ups, seated and
+ * standing calf raises...) are entries of their own. `primary` and `secondary`
+ * are keys of MUSCLE_GROUPS and `equipment` a key of EQUIPMENT. An entry with a
+ * `unit` starts new cards in that unit instead of the default one; built-in
+ * entries only have one where the equipment comes in that unit everywhere
+ * (kettlebells in kg). The user's own exercises (App.customExercises) have the
+ * same shape.
+ */
+const EXERCISE_CATALOG = [
+	{ id: 'bench-press', name: 'Bench Press', aliases: ['Bench', 'Barbell Bench Press', 'Flat Bench Press', 'BP'], primary: ['chest'], secondary: ['triceps', 'shoulders'], equipment: 'barbell' },
+	{ id: 'incline-bench-press', name: 'Incline Bench Press', aliases: ['Incline Bench', 'Incline Barbell Press'], primary: ['chest'], secondary: ['shoulders', 'triceps'], equipment: 'barbell' },
+	{ id: 'dumbbell-bench-press', name: 'Dumbbell Bench Press', aliases: ['DB Bench', 'DB Bench Press'], primary: ['chest'], secondary: ['triceps', 'shoulders'], equipment: 'dumbbell' },
+	{ id: 'chest-fly', name: 'Dumbbell Fly', aliases: ['Dumbbell Flye', 'Dumbbell Flyes', 'DB Fly'], primary: ['chest'], secondary: ['shoulders'], equipment: 'dumbbell' },
+	{ id: 'cable-fly', name: 'Cable Fly', aliases: ['Cable Flye', 'Cable Flyes'], primary: ['chest'], secondary: ['shoulders'], equipment: 'cable' },
+	{ id: 'pec-deck', name: 'Pec Deck', aliases: ['Pec Deck Fly', 'Pec-Deck'], primary: ['chest'], secondary: ['shoulders'], equipment: 'machine' },
+	{ id: 'push-up', name: 'Push-Up', aliases: ['Pushup', 'Push-Ups', 'Pushups'], primary: ['chest'], secondary: ['triceps', 'shoulders', 'abs'], equipment: 'bodyweight' },
+	{ id: 'dip', name: 'Dip', aliases: ['Dips', 'Parallel Bar Dip'], primary: ['chest', 'triceps'], secondary: ['shoulders'], equipment: 'bodyweight' },
+	{ id: 'overhead-press', name: 'Overhead Press', aliases: ['OHP', 'Military Press', 'Barbell Overhead Press'], primary: ['shoulders'], secondary: ['triceps'], equipment: 'barbell' },
+	{ id: 'dumbbell-shoulder-press', name: 'Dumbbell Shoulder Press', aliases: ['DB Shoulder Press', 'Dumbbell Overhead Press'], primary: ['shoulders'], secondary: ['triceps'], equipment: 'dumbbell' },
+	{ id: 'lateral-raise', name: 'Lateral Raise', aliases: ['Lateral Raises', 'Side Lateral Raise'], primary: ['shoulders'], secondary: [], equipment: 'dumbbell' },
+	{ id: 'face-pull', name: 'Face Pull', aliases: ['Face Pulls'], primary: ['shoulders'], secondary: ['back'], equipment: 'cable' },
+	{ id: 'pull-up', name: 'Pull-Up', aliases: ['Pullup', 'Pull-Ups', 'Pullups'], primary: ['back'], secondary: ['biceps'], equipment: 'bodyweight' },
+	{ id: 'chin-up', name: 'Chin-Up', aliases: ['Chinup', 'Chin-Ups', 'Chinups'], primary: ['back', 'biceps'], secondary: [], equipment: 'bodyweight' },
+	{ id: 'lat-pulldown', name: 'Lat Pulldown', aliases: ['Lat Pull-Down', 'Lat Pulldowns'], primary: ['back'], secondary: ['biceps'], equipment: 'cable' },
+	{ id: 'barbell-row', name: 'Barbell Row', aliases: ['BB Row', 'Barbell Bent-Over Row'], primary: ['back'], secondary: ['biceps', 'forearms'], equipment: 'barbell' },
+	{ id: 'dumbbell-row', name: 'Dumbbell Row', aliases: ['DB Row', 'One-Arm Dumbbell Row'], primary: ['back'], secondary: ['biceps'], equipment: 'dumbbell' },
+	{ id: 'seated-cable-row', name: 'Seated Cable Row', aliases: ['Seated Cable Rows'], primary: ['back'], secondary: ['biceps'], equipment: 'cable' },
+	{ id: 'shrug', name: 'Dumbbell Shrug', aliases: ['Dumbbell Shrugs', 'DB Shrug'], primary: ['back'], secondary: ['forearms'], equipment: 'dumbbell' },
+	{ id: 'deadlift', name: 'Deadlift', aliases: ['Deadlifts', 'Conventional Deadlift', 'DL'], primary: ['back', 'glutes', 'hamstrings'], secondary: ['quads', 'forearms'], equipment: 'barbell' },
+	{ id: 'romanian-deadlift', name: 'Romanian Deadlift', aliases: ['RDL', 'RDLs', 'Romanian Deadlifts'], primary: ['hamstrings', 'glutes'], secondary: ['back'], equipment: 'barbell' },
+	{ id: 'stiff-leg-deadlift', name: 'Stiff-Leg Deadlift', aliases: ['Stiff-Legged Deadlift', 'SLDL'], primary: ['hamstrings', 'glutes'], secondary: ['back'], equipment: 'barbell' },
+	{ id: 'squat', name: 'Squat', aliases: ['Back Squat', 'Barbell Squat', 'Squats'], primary: ['quads', 'glutes'], secondary: ['hamstrings', 'abs'], equipment: 'barbell' },
+	{ id: 'front-squat', name: 'Front Squat', aliases: ['Front Squats'], primary: ['quads'], secondary: ['glutes', 'abs'], equipment: 'barbell' },
+	{ id: 'leg-press', name: 'Leg Press', aliases: [], primary: ['quads'], secondary: ['glutes'], equipment: 'machine' },
+	{ id: 'lunge', name: 'Lunge', aliases: ['Lunges'], primary: ['quads', 'glutes'], secondary: ['hamstrings'], equipment: 'dumbbell' },
+	{ id: 'bulgarian-split-squat', name: 'Bulgarian Split Squat', aliases: ['BSS', 'Bulgarian Split Squats'], primary: ['quads', 'glutes'], secondary: ['hamstrings'], equipment: 'dumbbell' },
+	{ id: 'leg-extension', name: 'Leg Extension', aliases: ['Leg Extensions'], primary: ['quads'], secondary: [], equipment: 'machine' },
+	{ id: 'leg-curl', name: 'Leg Curl', aliases: ['Leg Curls'], primary: ['hamstrings'], secondary: [], equipment: 'machine' },
+	{ id: 'hip-thrust', name: 'Hip Thrust', aliases: ['Hip Thrusts', 'Barbell Hip Thrust'], primary: ['glutes'], secondary: ['hamstrings'], equipment: 'barbell' },
+	{ id: 'glute-bridge', name: 'Glute Bridge', aliases: ['Glute Bridges'], primary: ['glutes'], secondary: ['hamstrings'], equipment: 'bodyweight' },
+	{ id: 'calf-raise', name: 'Standing Calf Raise', aliases: ['Standing Calf Raises', 'Calf Raise', 'Calf Raises'], primary: ['calves'], secondary: [], equipment: 'machine' },
+	{ id: 'seated-calf-raise', name: 'Seated Calf Raise', aliases: ['Seated Calf Raises'], primary: ['calves'], secondary: [], equipment: 'machine' },
+	{ id: 'biceps-curl', name: 'Dumbbell Curl', aliases: ['Dumbbell Curls', 'DB Curl', 'Dumbbell Biceps Curl'], primary: ['biceps'], secondary: ['forearms'], equipment: 'dumbbell' },
+	{ id: 'barbell-curl', name: 'Barbell Curl', aliases: ['Barbell Curls', 'BB Curl'], primary: ['biceps'], secondary: ['forearms'], equipment: 'barbell' },
+	{ id: 'hammer-curl', name: 'Hammer Curl', aliases: ['Hammer Curls'], primary: ['biceps', 'forearms'], secondary: [], equipment: 'dumbbell' },
+	{ id: 'triceps-pushdown', name: 'Triceps Pushdown', aliases: ['Tricep Pushdown', 'Triceps Pushdowns'], primary: ['triceps'], secondary: [], equipment: 'cable' },
+	{ id: 'skull-crusher', name: 'Skull Crusher', aliases: ['Skull Crushers', 'Skullcrusher'], primary: ['triceps'], secondary: [], equipment: 'barbell' },
+	{ id: 'overhead-triceps-extension', name: 'Overhead Triceps Extension', aliases: ['Overhead Tricep Extension'], primary: ['triceps'], secondary: [], equipment: 'dumbbell' },
+	{ id: 'plank', name: 'Plank', aliases: ['Planks'], primary: ['abs'], secondary: ['shoulders'], equipment: 'bodyweight' },
+	{ id: 'crunch', name: 'Crunch', aliases: ['Crunches'], primary: ['abs'], secondary: [], equipment: 'bodyweight' },
+	{ id: 'sit-up', name: 'Sit-Up', aliases: ['Sit-Ups', 'Situp', 'Situps'], primary: ['abs'], secondary: [], equipment: 'bodyweight' },
+	{ id: 'hanging-leg-raise', name: 'Hanging Leg Raise', aliases: ['Hanging Leg Raises'], primary: ['abs'], secondary: ['forearms'], equipment: 'bodyweight' },
+	{ id: 'kettlebell-swing', name: 'Kettlebell Swing', aliases: ['KB Swing', 'Kettlebell Swings'], primary: ['glutes', 'hamstrings'], secondary: ['back', 'shoulders'], equipment: 'kettlebell', unit: 'kg' },
+	{ id: 'goblet-squat', name: 'Kettlebell Goblet Squat', aliases: ['KB Goblet Squat'], primary: ['quads', 'glutes'], secondary: ['abs'], equipment: 'kettlebell', unit: 'kg' },
+	{ id: 'turkish-get-up', name: 'Turkish Get-Up', aliases: ['TGU', 'Turkish Getup'], primary: ['shoulders', 'abs'], secondary: ['glutes'], equipment: 'kettlebell', unit: 'kg' },
+	{ id: 'farmers-walk', name: 'Farmer\'s Walk', aliases: ['Farmers Walk', 'Farmer\'s Carry', 'Farmers Carry'], primary: ['forearms'], secondary: ['back', 'abs'], equipment: 'dumbbell' }
+];
+
+// Lookup tables over the built-in and the user's exercises, see indexCatalog()
+const catalogIndex = { byId: null, byName: null };
+
+/**
+ * Reduces an exercise name to what tells it apart, so "Bench Press ",
+ * "bench press" and "Bench-Press" all match.
+ * @param {string} name - The name.
+ * @returns {string} The lookup key.
+ */
+const catalogKey = name => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Builds the catalog's lookup tables, if the catalog changed since they were
+ * last built. Built-in names win over the user's exercises, names over aliases.
+ * @returns {{byId: Map<string, object>, byName: Map<string, object>}} The tables.
+ */
+function indexCatalog() {
+	if (catalogIndex.byId) return catalogIndex;
+	const entries = [...EXERCISE_CATALOG, ...App.customExercises];
+	catalogIndex.byId = new Map(entries.map(entry => [entry.id, entry]));
+	catalogIndex.byName = new Map();
+	[e => [e.name], e => e.aliases || []].forEach(names => entries.forEach(entry => {
+		names(entry).map(catalogKey).filter(Boolean).forEach(key => {
+			if (!catalogIndex.byName.has(key)) catalogIndex.byName.set(key, entry);
+		});
+	}));
+	return catalogIndex;
+}
+
+/**
+ * Looks up a catalog exercise by ID.
+ * @param {string} [id] - The catalog ID.
+ * @returns {object|undefined} The entry.
+ */
+const catalogExercise = id => id ? indexCatalog().byId.get(id) : undefined;
+
+/**
+ * Finds the catalog exercise a name (or alias) stands for.
+ * @param {string} name - The name as typed.
+ * @returns {object|undefined} The entry.
+ */
+const matchCatalogExercise = name => indexCatalog().byName.get(catalogKey(name));
+
+/**
+ * Links an exercise to the catalog by its name, unless it's already linked.
+ * IDs of exercises the catalog doesn't know (yet) are kept, in case they come
+ * from another device's custom exercises.
+ * @param {object} ex - The exercise (or break, which is left alone).
+ * @returns {boolean} True if the exercise was changed.
+ */
+function linkCatalog(ex) {
+	if (!ex || ex.type === 'break' || ex.catalogId) return false;
+	const entry = matchCatalogExercise(ex.name);
+	if (!entry) return false;
+	ex.catalogId = entry.id;
+	return true;
+}
+
+/**
+ * Summarizes a catalog exercise, e.g. "Barbell · Chest (Triceps, Shoulders)".
+ * @param {object} entry - The catalog entry.
+ * @returns {string} The summary.
+ */
+function describeCatalogExercise(entry) {
+	const names = keys => (keys || []).map(key => MUSCLE_GROUPS[key]).filter(Boolean).join(', ');
+	const secondary = names(entry.secondary);
+	const muscles = names(entry.primary) + (secondary ? ` (${secondary})` : '');
+	return [EQUIPMENT[entry.equipment], muscles].filter(Boolean).join(' · ');
+}
+
+/** Fills the suggestions of the exercise name fields. */
+function renderCatalogOptions() {
+	const entries = [...EXERCISE_CATALOG, ...App.customExercises].sort((a, b) => a.name.localeCompare(b.name));
+	$('exerciseCatalogList').replaceChildren(...entries.map(entry =>
+		create('option', { value: entry.name, label: describeCatalogExercise(entry) })));
+}
+
+/**
+ * Shows which catalog exercise a card is linked to.
+ * @param {HTMLElement} card - The exercise card.
+ */
+function renderCardCatalogInfo(card) {
+	const entry = catalogExercise(card.dataset.catalogId);
+	const info = card.querySelector('.catalog-info');
+	info.textContent = entry ? describeCatalogExercise(entry) : '';
+	info.style.display = entry ? '' : 'none';
+}
+
+/**
+ * Links a card to the catalog exercise its name stands for, after the name
+ * was edited. An alias is replaced by the exercise's name, and a new card
+ * switches to the exercise's unit if it has one.
+ * @param {HTMLElement} card - The exercise card.
+ */
+function applyCatalogName(card) {
+	const input = card.querySelector('.exercise-name-input');
+	const entry = matchCatalogExercise(input.value);
+	if (entry) {
+		input.value = entry.name;
+		card.dataset.catalogId = entry.id;
+		const untouched = readExerciseCard(card).sets.every(set => set.weights.every(w => !w));
+		if (entry.unit && untouched) card.querySelector('.unit-select').value = entry.unit;
+	} else {
+		delete card.dataset.catalogId;
+	}
+	renderCardCatalogInfo(card);
+}
+
+/** Lists the user's own exercises in Settings. */
+function renderCustomExercises() {
+	const list = $('customExerciseList');
+	list.replaceChildren(...App.customExercises.slice().sort((a, b) => a.name.localeCompare(b.name)).map(entry => {
+		const editBtn = create('button', { class: 'edit-btn', textContent: 'Edit' });
+		editBtn.addEventListener('click', () => editCustomExercise(entry.id));
+		const delBtn = create('button', { class: 'delete-btn', textContent: 'Delete' });
+		delBtn.addEventListener('click', () => deleteCustomExercise(entry.id));
+		return create('div', { class: 'custom-exercise' },
+			create('div', {},
+				create('strong', {}, entry.name),
+				create('div', { class: 'custom-exercise-meta' }, describeCatalogExercise(entry))),
+			editBtn, delBtn);
+	}));
+	$('catalogSummary').textContent = `${EXERCISE_CATALOG.length} built-in exercises, ` +
+		`${App.customExercises.length} of your own.`;
+}
+
+/** Rebuilds everything derived from the catalog after the user's exercises changed. */
+function refreshCatalog() {
+	catalogIndex.byId = null;
+	catalogIndex.byName = null;
+	renderCatalogOptions();
+	renderCustomExercises();
+}
+
+/**
+ * Links history and routines to the catalog again after it changed, so
+ * workouts logged under a new exercise's name or alias count as that exercise.
+ */
+function relinkHistory() {
+	let changed = false;
+	App.workouts.forEach(w => w.exercises.forEach(ex => { changed = linkCatalog(ex) || changed; }));
+	App.routines.forEach(r => r.items.forEach(linkCatalog));
+	saveRoutines();
+	recomputeRecords();
+	if (changed) {
+		saveWorkouts();
+		markHistoryDirty();
+	}
+	renderHistory();
+	updateExerciseSelector();
+	renderProgress();
+}
+
+/**
+ * Builds the form for one of the user's exercises.
+ * @param {object} entry - The exercise's current values.
+ * @returns {{form: HTMLElement, read: function(): object}} The form, and a function reading it.
+ */
+function customExerciseForm(entry) {
+	const form = create('div', { class: 'mapping-form catalog-form' });
+	const name = create('input', { type: 'text', value: entry.name || '' });
+	const aliases = create('input', { type: 'text', value: (entry.aliases || []).join(', '), placeholder: 'Comma separated' });
+	const equipment = create('select', {},
+		...Object.entries(EQUIPMENT).map(([value, label]) => create('option', { value, textContent: label })));
+	equipment.value = entry.equipment || 'other';
+	const unit = create('select', {},
+		create('option', { value: '', textContent: 'Default unit' }),
+		create('option', { value: 'kg', textContent: 'kg' }),
+		create('option', { value: 'lbs', textContent: 'lbs' }));
+	unit.value = entry.unit || '';
+
+	const muscleGrid = (title, checked) => create('fieldset', { class: 'muscle-grid' },
+		create('legend', {}, title),
+		...Object.entries(MUSCLE_GROUPS).map(([key, label]) => create('label', {},
+			create('input', { type: 'checkbox', value: key, checked: (checked || []).includes(key) }), label)));
+	const primary = muscleGrid('Primary muscles', entry.primary);
+	const secondary = muscleGrid('Secondary muscles', entry.secondary);
+
+	form.append(
+		create('label', {}, 'Name', name),
+		create('label', {}, 'Other names', aliases),
+		create('label', {}, 'Equipment', equipment),
+		create('label', {}, 'Weights in', unit),
+		primary,
+		secondary);
+
+	const checkedIn = grid => Array.from(grid.querySelectorAll('input:checked'), input => input.value);
+	const read = () => {
+		const values = {
+			...entry,
+			name: name.value.trim(),
+			aliases: aliases.value.split(',').map(a => a.trim()).filter(Boolean),
+			primary: checkedIn(primary),
+			secondary: checkedIn(secondary).filter(key => !checkedIn(primary).includes(key)),
+			equipment: equipment.value
+		};
+		if (unit.value) values.unit = unit.value;
+		else delete values.unit;
+		return values;
+	};
+	return { form, read };
+}
+
+/**
+ * Adds an exercise to the catalog, or edits one of the user's exercises.
+ * @param {string|null} [id=null] - The exercise to edit; null adds a new one.
+ * @param {object} [draft=null] - Values to start from, after a rejected attempt.
+ */
+function editCustomExercise(id = null, draft = null) {
+	const existing = App.customExercises.find(e => e.id === id);
+	const { form, read } = customExerciseForm(draft || existing || { name: '', aliases: [], primary: [], secondary: [], equipment: 'other' });
+	showFormModal(existing ? `Edit "${existing.name}"` : 'Add an exercise to the catalog', form, () => {
+		const entry = read();
+		const clash = [entry.name, ...entry.aliases].map(matchCatalogExercise).find(e => e && e.id !== id);
+		let problem = '';
+		if (!entry.name) problem = 'Please enter a name.';
+		else if (clash) problem = `"${clash.name}" already uses that name or one of these other names.`;
+		if (problem) {
+			showModal(problem, () => editCustomExercise(id, entry));
+			return;
+		}
+
+		if (existing) App.customExercises[App.customExercises.indexOf(existing)] = entry;
+		else App.customExercises.push({ ...entry, id: makeId('x') });
+		saveCustomExercises();
+		refreshCatalog();
+		relinkHistory();
+	});
+}
+
+/**
+ * Removes one of the user's exercises from the catalog after confirmation.
+ * Workouts logged with it keep their names.
+ * @param {string} id - The exercise's catalog ID.
+ */
+function deleteCustomExercise(id) {
+	const entry = App.customExercises.find(e => e.id === id);
+	if (!entry) return;
+	showModal(`Remove "${entry.name}" from the catalog? Workouts logged with it keep their names.`, () => {
+		App.customExercises = App.customExercises.filter(e => e.id !== id);
+		const linked = App.workouts.flatMap(w => w.exercises).filter(ex => ex.catalogId === id);
+		linked.forEach(ex => delete ex.catalogId);
+		App.routines.forEach(r => r.items.forEach(ex => { if (ex.catalogId === id) delete ex.catalogId; }));
+		saveCustomExercises();
+		if (linked.length) {
+			saveWorkouts();
+			markHistoryDirty();
+		}
+		refreshCatalog();
+		relinkHistory();
+	}, () => {});
+}
+
+// ==========================================================================
+//  Exercise Names (Rename & Merge)
+// ==========================================================================
+
+/**
+ * Lists every distinct exercise name in history, as typed (trimmed).
+ * @returns {Array<{name: string, workouts: Array<number>, catalogId: string|undefined}>}
+ *   Sorted by name; `workouts` are the indexes of the workouts using it, oldest first.
+ */
+function exerciseNameUsage() {
+	const usage = new Map();
+	App.workouts.forEach((w, i) => {
+		w.exercises.filter(ex => ex.type !== 'break').forEach(ex => {
+			const name = (ex.name || '').trim();
+			if (!name) return;
+			if (!usage.has(name)) usage.set(name, { name, workouts: [], catalogId: ex.catalogId });
+			const entry = usage.get(name);
+			if (entry.workouts[entry.workouts.length - 1] !== i) entry.workouts.push(i);
+		});
+	});
+	return Array.from(usage.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Works out what renaming exercises would change. A name the catalog knows
+ * is replaced by its catalog name, as in the planning cards.
+ * @param {Array<string>} names - The names to rename.
+ * @param {string} newName - The name they get.
+ * @returns {{name: string, workouts: Array<number>, routines: Array<object>}} The final name,
+ *   and the indexes of the workouts and the routines that use one of the names.
+ */
+function planRename(names, newName) {
+	const selected = new Set(names);
+	const uses = items => items.some(ex => ex.type !== 'break' && selected.has((ex.name || '').trim()));
+	return {
+		name: matchCatalogExercise(newName)?.name || newName.trim(),
+		workouts: App.workouts.map((w, i) => uses(w.exercises) ? i : -1).filter(i => i >= 0),
+		routines: App.routines.filter(r => uses(r.items))
+	};
+}
+
+/**
+ * Renames exercises across history and routines in one undoable step, linking
+ * them to the catalog exercise of their new name (or unlinking them).
+ * @param {Array<string>} names - The names to rename.
+ * @param {string} newName - The name they get.
+ */
+function renameExercises(names, newName) {
+	const plan = planRename(names, newName);
+	const selected = new Set(names);
+	const before = snapshotData();
+	const rename = ex => {
+		if (ex.type === 'break' || !selected.has((ex.name || '').trim())) return;
+		ex.name = plan.name;
+		delete ex.catalogId;
+		linkCatalog(ex);
+	};
+	plan.workouts.forEach(i => App.workouts[i].exercises.forEach(rename));
+	plan.routines.forEach(r => r.items.forEach(rename));
+
+	recomputeRecords();
+	saveWorkouts();
+	saveRoutines();
+	markHistoryDirty();
+	renderHistory();
+	updateExerciseSelector();
+	renderProgress();
+	recordDataChange(names.length > 1 ? `Merged into ${plan.name}` : `Renamed to ${plan.name}`, before);
+}
+
+/**
+ * Shows every exercise name in history with how often and when it was last
+ * used, to rename one or merge several into one.
+ * @param {Array<string>} [checked=[]] - Names to start with selected, after a rejected attempt.
+ * @param {string} [newName=''] - The new name to start with.
+ */
+function manageExerciseNames(checked = [], newName = '') {
+	const usage = exerciseNameUsage();
+	if (!usage.length) {
+		showModal('There are no exercises in your history yet.');
+		return;
+	}
+
+	const form = create('div', { class: 'exercise-names' });
+	const list = create('ul', { class: 'exercise-name-list' });
+	usage.forEach(({ name, workouts, catalogId }) => {
+		const last = App.workouts[workouts[workouts.length - 1]];
+		const catalogName = catalogExercise(catalogId)?.name;
+		const meta = `${workouts.length} workout${workouts.length === 1 ? '' : 's'} · last ${formatWorkoutDate(last)}` +
+			(catalogName && catalogName !== name ? ` · counted as ${catalogName}` : '');
+		list.appendChild(create('li', {},
+			create('label', {},
+				create('input', { type: 'checkbox', value: name, checked: checked.includes(name) }),
+				create('span', {}, create('strong', {}, name), create('span', { class: 'exercise-name-meta' }, meta)))));
+	});
+	const nameInput = create('input', { type: 'text', value: newName, placeholder: 'New name', autocomplete: 'off' });
+	nameInput.setAttribute('list', 'exerciseCatalogList');
+	const preview = create('p', { class: 'mapping-preview' });
+	form.append(list, create('label', { class: 'exercise-new-name' }, 'Rename to', nameInput), preview);
+
+	const selectedNames = () => Array.from(list.querySelectorAll('input:checked'), input => input.value);
+	const updatePreview = () => {
+		const names = selectedNames();
+		if (!names.length || !nameInput.value.trim()) {
+			preview.textContent = 'Select the names to rename or merge, and the name they should get.';
+			return;
+		}
+		const plan = planRename(names, nameInput.value);
+		const dates = plan.workouts.slice(-5).reverse().map(i => formatWorkoutDate(App.workouts[i]));
+		const more = plan.workouts.length - dates.length;
+		preview.textContent = `${names.length > 1 ? `Merges ${names.length} names` : `Renames "${names[0]}"`} into "${plan.name}" ` +
+			`in ${plan.workouts.length} workout${plan.workouts.length === 1 ? '' : 's'}` +
+			(plan.routines.length ? ` and ${plan.routines.length} routine${plan.routines.length === 1 ? '' : 's'}` : '') +
+			`: ${dates.join(', ')}${more ? ` and ${more} more` : ''}.`;
+	};
+	list.addEventListener('change', () => {
+		// A single name starts out as its own new name, ready to be edited
+		const names = selectedNames();
+		if (names.length === 1 && !nameInput.value.trim()) nameInput.value = names[0];
+		updatePreview();
+	});
+	nameInput.addEventListener('input', updatePreview);
+	updatePreview();
+
+	showFormModal('Rename an exercise everywhere in your history, or merge several names into one.', form, () => {
+		const names = selectedNames();
+		const name = nameInput.value.trim();
+		let problem = '';
+		if (!names.length) problem = 'Please select at least one name.';
+		else if (!name) problem = 'Please enter the new name.';
+		else if (names.length === 1 && planRename(names, name).name === names[0]) problem = 'The new name is the same as the old one.';
+		if (problem) {
+			showModal(problem, () => manageExerciseNames(names, name));
+			return;
+		}
+		renameExercises(names, name);
+	});
+}
+
+// ==========================================================================
+//  History & UI Rendering
+// ==========================================================================
+
+/**
+ * Reads the History tab's search box and filters.
+ * @returns {object} {query, from, to, exercise, group}; from/to are timestamps or null.
+ */
+function readHistoryFilters() {
+	const day = (value, endOfDay) => {
+		if (!value) return null;
+		const [y, m, d] = value.split('-').map(Number);
+		return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime() : new Date(y, m - 1, d).getTime();
+	};
+	return {
+		query: ($('historySearch')?.value || '').trim().toLowerCase(),
+		from: day($('historyFrom')?.value, false),
+		to: day($('historyTo')?.value, true),
+		exercise: $('historyExercise')?.value || '__all',
+		group: $('historyGroup')?.value || 'none'
+	};
+}
+
+/**
+ * Checks a workout against the History search, which matches exercise names
+ * and notes (of the workout or any exercise). The date and exercise filters
+ * are applied by queryWorkouts().
+ * @param {object} w - The workout.
+ * @param {object} f - The filters, see readHistoryFilters().
+ * @returns {boolean} Whether the workout should be listed.
+ */
+function workoutMatchesSearch(w, f) {
+	if (!f.query) return true;
+	const exercises = (w.exercises || []).filter(ex => ex.type !== 'break');
+	const text = [w.notes, ...exercises.flatMap(ex => [ex.name, exerciseKey(ex), ex.notes])].filter(Boolean).join('\n').toLowerCase();
+	return text.includes(f.query);
+}
+
+/**
+ * Works out which week or month a workout is listed under.
+ * @param {object} w - The workout.
+ * @param {string} group - 'week' or 'month'.
+ * @returns {{key: string, label: string}} The group.
+ */
+function historyGroup(w, group) {
+	const t = Date.parse(w.date);
+	if (isNaN(t)) return { key: 'unknown', label: 'Unknown date' };
+	const d = new Date(t);
+	if (group === 'month') {
+		return {
+			key: `${d.getFullYear()}-${d.getMonth()}`,
+			label: d.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+		};
+	}
+	const monday = weekStart(d);
+	return { key: monday.toDateString(), label: `Week of ${monday.toLocaleDateString()}` };
+}
+
+/**
+ * Builds the History entry of one workout, with its actions and exercise cards.
+ * @param {object} workout - The workout.
+ * @returns {HTMLElement} The entry.
+ */
+function buildHistoryEntry(workout) {
+	const div = create('div', { class: 'history-entry' });
+	
+	const strong = create('strong', {}, formatWorkoutDate(workout));
+	const span = create('span', {}, ' Total Time: ' + fmtTime(workout.totalTime || 0));
+
+	// Edit button
+	const editBtn = create('button', { class: 'edit-btn', textContent: 'Edit' });
+	editBtn.addEventListener('click', () => {
+		editWorkout(workout.id);
+		// Switch to planning tab
+		document.querySelector('.tab-btn[data-target="main-panel"]').click();
+	});
+
+	// Delete button
+	const delBtn = create('button', { class: 'delete-btn', textContent: 'Delete' });
+	delBtn.addEventListener('click', () => deleteWorkout(workout.id));
+
+	// Use-as-template button
+	const templateBtn = create('button', { class: 'edit-btn', textContent: 'Use as template' });
+	templateBtn.addEventListener('click', () => {
+		(workout.exercises || []).map(plannedCopy).forEach(ex => {
+			if (ex.type === 'break') addBreak(ex);
+			else addExercise(ex);
+		});
+		// Switch to Planning tab
+		document.querySelector('.tab-btn[data-target="main-panel"]').click();
+	});
+
+	// Container for exercise cards
+	const exContainer = create('div', { class: 'history-exercise-list' });
+
+	// Supersets and circuits are lettered A, B... and their exercises A1, A2...
+	const groups = workoutGroups(workout.exercises);
+	const letters = new Map(Array.from(groups.keys(), (id, i) => [id, String.fromCharCode(65 + i % 26)]));
+	const labelled = new Set();
+
+	(workout.exercises || []).forEach(ex => {
+		const card = create('div', { class: 'history-card' });
+		const group = ex.group ? groups.get(ex.group) : null;
+		let tagHtml = '';
+		if (group) {
+			card.classList.add('grouped');
+			const letter = letters.get(ex.group);
+			if (!labelled.has(ex.group)) {
+				labelled.add(ex.group);
+				exContainer.appendChild(create('div', { class: 'history-group-label' },
+					create('span', { class: 'group-tag' }, letter),
+					' ' + describeGroup(group.exercises.length, group.rounds, group.rest ? group.rest.duration : 0)));
+			}
+			if (ex.type !== 'break') tagHtml = `<span class="group-tag">${letter}${group.exercises.indexOf(ex) + 1}</span> `;
+		}
+		
+		const timeHtml = `
+			<div class="hist-time">
+				<strong>${fmtTime(ex.time || 0)}</strong>
+				<span>Time</span>
+			</div>`;
 			
-			if (idx + 1 < cards.length) {
-				const next = cards[idx + 1];
-				startRowTimer(idx + 1);
-				// If next card is also a break, start its countdown
-				if (next.classList.contains('break-card')) {
-					const inp = next.querySelector('.break-body input[type="number"]');
-					if (inp) next.dataset.plannedDuration = parseInt(inp.value || 0, 10) || 0;
-					next._timeLeft = parseInt(next.dataset.plannedDuration || 0, 10) || 0;
-					next._elapsed = 0;
-					startBreakCountdown(next);
+		if (ex.type === 'break') {
+			card.classList.add('break-card');
+			card.innerHTML = `
+				${timeHtml}
+				<div class="hist-details" style="text-align:center; font-style:italic;">
+					${group ? 'Rest after each round' : 'Break'}: ${ex.duration || 0} sec
+				</div>
+			`;
+		} else {
+			card.classList.add('exercise-card');
+			const loggedUnit = exerciseUnit(ex);
+			const unit = displayUnit(loggedUnit);
+
+			// One stats line per set
+			const setLines = (ex.sets || []).map((set, si) => {
+				const weights = Array.isArray(set.weights) ? set.weights : [set.weights];
+				const shown = weights.map(w => displayWeight(w, loggedUnit));
+				const weightsDisplay = set.dropset ? shown.join(' → ') : shown[0];
+				const difficultyDisplay = (set.difficulty != null ? set.difficulty : '—');
+
+				const statsItems = [];
+				statsItems.push(`<span><strong>Set ${si + 1}</strong></span>`);
+				statsItems.push(`<span><strong>Reps:</strong> ${escapeHtml(String(set.reps || 0))}</span>`);
+
+				const allWeightsZero = weights.every(w => (parseFloat(w) || 0) === 0);
+
+				if (!allWeightsZero) {
+					statsItems.push(`<span><strong>Weight:</strong> ${escapeHtml(String(weightsDisplay || '0'))} ${escapeHtml(unit)}</span>`);
 				}
+
+				statsItems.push(`<span><strong>Diff:</strong> ${escapeHtml(String(difficultyDisplay))}/10</span>`);
+				if (set.time) statsItems.push(`<span><strong>Time:</strong> ${fmtTime(set.time)}</span>`);
+
+				return `<div class="hist-stats">${statsItems.join('\n')}</div>`;
+			});
+			
+			const badges = (workout.records || []).filter(r => r.name === exerciseKey(ex))
+				.map(r => `<span class="pr-badge" title="${escapeHtml(describeRecord(r))}">PR ${RECORD_TYPES[r.type].badge}</span>`);
+			const badgesHtml = badges.length ? `<div class="pr-badges">${badges.join('')}</div>` : '';
+
+			const e1rm = exerciseOneRepMax(ex);
+			const e1rmHtml = e1rm > 0
+				? `<div class="hist-stats hist-e1rm"><span><strong>Est. 1RM:</strong> ${displayWeight(e1rm, loggedUnit)} ${escapeHtml(unit)}</span></div>`
+				: '';
+			
+			card.innerHTML = `
+				${timeHtml}
+				<div class="hist-details">
+					<strong class="hist-name">${tagHtml}${escapeHtml(ex.name || '')}</strong>
+					${badgesHtml}
+					${setLines.join('\n')}
+					${e1rmHtml}
+					${ex.notes ? `<p class="history-notes">${escapeHtml(ex.notes)}</p>` : ''}
+				</div>
+			`;
+		}
+		exContainer.appendChild(card);
+	});
+
+	div.appendChild(strong);
+	div.appendChild(span);
+	div.appendChild(editBtn);
+	div.appendChild(templateBtn);
+	div.appendChild(delBtn);
+	if (workout.conflictWith) {
+		div.appendChild(create('span', {
+			class: 'conflict-badge',
+			title: 'Another version of this workout was already in your history when it was imported. Delete the one you don\'t want.'
+		}, 'Conflicting version'));
+	}
+	if (workout.notes) div.appendChild(create('p', { class: 'history-notes' }, workout.notes));
+	div.appendChild(exContainer); // Add card container
+	return div;
+}
+
+/**
+ * Renders the History tab from scratch: applies the filters, then renders the
+ * first page. Further pages are added by renderMoreHistory() as the list is
+ * scrolled, so long histories stay fast.
+ * @returns {Promise<void>}
+ */
+async function renderHistory() {
+	const view = App.historyView;
+	const ticket = ++view.renders;
+	renderCalendar();
+
+	await updateExerciseSelector();
+	const filters = readHistoryFilters();
+	const [all, found] = await Promise.all([queryWorkouts(), queryWorkouts({
+		from: filters.from,
+		to: filters.to,
+		exercise: filters.exercise === '__all' ? null : filters.exercise
+	})]);
+	if (ticket !== view.renders) return; // Rendered again meanwhile
+
+	const historyDiv = $('history');
+	historyDiv.innerHTML = '';
+	if (view.observer) view.observer.disconnect();
+
+	// Show newest first
+	view.matches = found.filter(w => workoutMatchesSearch(w, filters)).reverse();
+	view.shown = 0;
+
+	const filtered = view.matches.length !== all.length;
+	$('historySummary').textContent = !all.length ? 'No workouts yet.'
+		: filtered ? `${view.matches.length} of ${all.length} workouts match.`
+		: `${all.length} workouts.`;
+
+	renderMoreHistory();
+}
+
+/** Appends the next page of filtered workouts to the History tab. */
+function renderMoreHistory() {
+	const view = App.historyView;
+	const historyDiv = $('history');
+	const group = $('historyGroup')?.value || 'none';
+	historyDiv.querySelector('.history-more-btn')?.remove();
+
+	const page = view.matches.slice(view.shown, view.shown + HISTORY_PAGE_SIZE);
+	let lastKey = view.shown > 0 && group !== 'none'
+		? historyGroup(view.matches[view.shown - 1], group).key
+		: null;
+
+	page.forEach(workout => {
+		if (group !== 'none') {
+			const g = historyGroup(workout, group);
+			if (g.key !== lastKey) {
+				const count = view.matches.filter(w => historyGroup(w, group).key === g.key).length;
+				historyDiv.appendChild(create('div', { class: 'history-group-header' },
+					`${g.label} — ${count} workout${count === 1 ? '' : 's'}`));
+				lastKey = g.key;
 			}
-			// --- End auto-advance ---
+		}
+		historyDiv.appendChild(buildHistoryEntry(workout));
+	});
+	view.shown += page.length;
 
-		} else {
-			// Break is in progress
-			display.textContent = 'Break: ' + left + 's';
-			breakCard.classList.toggle('break-warning', left <= 10);
+	if (view.shown < view.matches.length) {
+		const moreBtn = create('button', {
+			class: 'history-more-btn',
+			textContent: `Show more (${view.matches.length - view.shown} left)`
+		});
+		moreBtn.addEventListener('click', renderMoreHistory);
+		historyDiv.appendChild(moreBtn);
+
+		// Load the next page before the user reaches the button
+		if ('IntersectionObserver' in window) {
+			if (!view.observer) {
+				view.observer = new IntersectionObserver(entries => {
+					if (entries.some(e => e.isIntersecting)) renderMoreHistory();
+				}, { rootMargin: '600px 0px' });
+			}
+			view.observer.disconnect();
+			view.observer.observe(moreBtn);
+		}
+	}
+}
+
+/** Re-renders the History tab when a filter changes; typing in the search box is debounced. */
+function wireHistoryFilters() {
+	const view = App.historyView;
+	$('historySearch').addEventListener('input', () => {
+		clearTimeout(view.searchTimerId);
+		view.searchTimerId = setTimeout(renderHistory, 200);
+	});
+	['historyFrom', 'historyTo', 'historyExercise', 'historyGroup'].forEach(id => {
+		$(id).addEventListener('change', renderHistory);
+	});
+}
+
+/**
+ * Updates the exercise name dropdowns in the Progress and History tabs.
+ * @returns {Promise<void>}
+ */
+async function updateExerciseSelector() {
+	const names = new Set();
+	(await queryWorkouts()).forEach(w => {
+		(w.exercises || []).forEach(ex => {
+			if (ex.type === 'exercise' && exerciseKey(ex)) {
+				names.add(exerciseKey(ex));
+			}
+		});
+	});
+	
+	['exerciseSelect', 'historyExercise'].map(id => $(id)).filter(Boolean).forEach(select => {
+		const current = select.value || '__all';
+		select.innerHTML = '';
+		
+		const allOpt = create('option', { value: '__all', textContent: 'All exercises' });
+		select.appendChild(allOpt);
+		
+		Array.from(names).sort().forEach(n => {
+			const o = create('option', { value: n, textContent: n });
+			select.appendChild(o);
+		});
+		
+		select.value = Array.from(select.querySelectorAll('option')).some(o => o.value === current) ? current : '__all';
+	});
+}
+
+// ==========================================================================
+//  Training Calendar
+// ==========================================================================
+
+/**
+ * Identifies a local calendar day.
+ * @param {Date} d - Any time on that day.
+ * @returns {string} The day as 'YYYY-MM-DD'.
+ */
+const dayKey = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/**
+ * Returns the day after (or before) a date, at midnight local time.
+ * @param {Date} d - The date.
+ * @param {number} [days=1] - The number of days to move.
+ * @returns {Date} The new date.
+ */
+const addDays = (d, days = 1) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+
+/**
+ * The Monday that starts the week of a date.
+ * @param {Date} d - The date.
+ * @returns {Date} Midnight on that Monday.
+ */
+const weekStart = d => new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+
+/**
+ * Groups workouts by the day they were done on. Workouts with an unknown date are left out.
+ * @param {Array<object>} workouts - The workouts.
+ * @returns {Map<string, Array<object>>} Day key -> the day's workouts.
+ */
+function workoutsByDay(workouts) {
+	const byDay = new Map();
+	workouts.forEach(w => {
+		const t = Date.parse(w.date);
+		if (isNaN(t)) return;
+		const key = dayKey(new Date(t));
+		if (!byDay.has(key)) byDay.set(key, []);
+		byDay.get(key).push(w);
+	});
+	return byDay;
+}
+
+/**
+ * Measures a day's training for shading.
+ * @param {Array<object>} workouts - The day's workouts.
+ * @param {string} metric - 'volume' (in the default unit) or 'duration' (seconds).
+ * @returns {number} The day's total.
+ */
+function dayTotal(workouts, metric) {
+	return workouts.reduce((sum, w) => {
+		if (metric === 'duration') return sum + (parseInt(w.totalTime || 0, 10) || 0);
+		return sum + (w.exercises || []).filter(ex => ex.type !== 'break')
+			.reduce((v, ex) => v + convertWeight(exerciseVolume(ex), exerciseUnit(ex), App.settings.defaultUnit), 0);
+	}, 0);
+}
+
+/**
+ * Counts runs of consecutive training days. The current streak is still
+ * alive if the last session was yesterday.
+ * @param {Set<string>} days - Day keys with at least one workout.
+ * @returns {{current: number, longest: number}} Streak lengths in days.
+ */
+function trainingStreaks(days) {
+	let longest = 0;
+	[...days].sort().forEach(key => {
+		const [y, m, d] = key.split('-').map(Number);
+		const date = new Date(y, m - 1, d);
+		if (days.has(dayKey(addDays(date, -1)))) return; // Not the start of a run
+		let length = 1;
+		while (days.has(dayKey(addDays(date, length)))) length++;
+		longest = Math.max(longest, length);
+	});
+
+	let current = 0;
+	let day = new Date();
+	if (!days.has(dayKey(day))) day = addDays(day, -1);
+	while (days.has(dayKey(day))) {
+		current++;
+		day = addDays(day, -1);
+	}
+	return { current, longest };
+}
+
+/**
+ * Averages sessions per week over the last eight weeks (or since the first workout, if sooner).
+ * @param {Array<object>} workouts - The whole history.
+ * @returns {number} Sessions per week.
+ */
+function sessionsPerWeek(workouts) {
+	const now = Date.now();
+	const times = workouts.map(w => Date.parse(w.date)).filter(t => !isNaN(t) && t <= now);
+	if (!times.length) return 0;
+	const week = 7 * 86400000;
+	const span = Math.min(8 * week, Math.max(week, now - Math.min(...times)));
+	return times.filter(t => t > now - span).length / (span / week);
+}
+
+/**
+ * Builds one day of the calendar or heatmap.
+ * @param {Date} date - The day.
+ * @param {Map<string, Array<object>>} byDay - See workoutsByDay().
+ * @param {number} max - The largest day total in view, for shading.
+ * @returns {HTMLElement} The day cell.
+ */
+function calendarCell(date, byDay, max) {
+	const view = App.calendarView;
+	const key = dayKey(date);
+	const workouts = byDay.get(key) || [];
+	const cell = create('button', { class: 'calendar-cell', textContent: String(date.getDate()) });
+	if (workouts.length) {
+		const level = max > 0 ? Math.max(1, Math.ceil(dayTotal(workouts, view.metric) / max * 4)) : 1;
+		cell.classList.add(`level-${level}`);
+	}
+	if (key === dayKey(new Date())) cell.classList.add('today');
+	if (key === view.selectedDay) cell.classList.add('selected');
+	cell.title = `${date.toLocaleDateString()}: ${workouts.length} workout${workouts.length === 1 ? '' : 's'}`;
+	cell.addEventListener('click', () => {
+		view.selectedDay = view.selectedDay === key ? null : key;
+		renderCalendar();
+	});
+	return cell;
+}
+
+/**
+ * Renders the streak stats, the month calendar or year heatmap, and the selected day's workouts.
+ * @returns {Promise<void>}
+ */
+async function renderCalendar() {
+	const view = App.calendarView;
+	const ticket = ++view.renders;
+	const workouts = await queryWorkouts();
+	if (ticket !== view.renders) return; // Rendered again meanwhile
+	const byDay = workoutsByDay(workouts);
+
+	const streaks = trainingStreaks(new Set(byDay.keys()));
+	const stat = (value, label) => create('div', {}, create('strong', {}, String(value)), create('span', {}, label));
+	$('calendarStats').replaceChildren(
+		stat(streaks.current, 'Current streak (days)'),
+		stat(streaks.longest, 'Longest streak (days)'),
+		stat(roundTenth(sessionsPerWeek(workouts)), 'Sessions / week')
+	);
+
+	// The days in view, padded to whole Monday-first weeks
+	const c = view.cursor;
+	const first = view.mode === 'year' ? new Date(c.getFullYear(), 0, 1) : new Date(c.getFullYear(), c.getMonth(), 1);
+	const last = view.mode === 'year' ? new Date(c.getFullYear(), 11, 31) : new Date(c.getFullYear(), c.getMonth() + 1, 0);
+	const days = [];
+	for (let d = first; d <= last; d = addDays(d)) days.push(d);
+	const max = Math.max(0, ...days.map(d => dayTotal(byDay.get(dayKey(d)) || [], view.metric)));
+
+	$('calendarTitle').textContent = view.mode === 'year'
+		? String(c.getFullYear())
+		: c.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+	const grid = create('div', { class: view.mode === 'year' ? 'calendar-year' : 'calendar-month' });
+	if (view.mode === 'month') {
+		const monday = addDays(new Date(), -((new Date().getDay() + 6) % 7));
+		for (let i = 0; i < 7; i++) {
+			grid.appendChild(create('div', { class: 'calendar-weekday' },
+				addDays(monday, i).toLocaleDateString(undefined, { weekday: 'narrow' })));
 		}
+	}
+	for (let i = (first.getDay() + 6) % 7; i > 0; i--) grid.appendChild(create('div', { class: 'calendar-cell empty' }));
+	days.forEach(d => grid.appendChild(calendarCell(d, byDay, max)));
+	$('calendarGrid').replaceChildren(grid);
+
+	renderCalendarDay(byDay);
+}
+
+/**
+ * Lists the workouts of the selected calendar day, with the usual History actions.
+ * @param {Map<string, Array<object>>} byDay - See workoutsByDay().
+ */
+function renderCalendarDay(byDay) {
+	const view = App.calendarView;
+	const container = $('calendarDay');
+	container.innerHTML = '';
+	if (!view.selectedDay) return;
+
+	const [y, m, d] = view.selectedDay.split('-').map(Number);
+	const workouts = byDay.get(view.selectedDay) || [];
+	container.appendChild(create('h3', {}, new Date(y, m - 1, d).toLocaleDateString(undefined, { dateStyle: 'full' })));
+	if (!workouts.length) {
+		container.appendChild(create('p', {}, 'No workouts on this day.'));
+		return;
+	}
+	workouts.forEach(w => container.appendChild(buildHistoryEntry(w)));
+}
+
+/** Wires up the calendar's navigation, view and shading controls. */
+function wireCalendar() {
+	const view = App.calendarView;
+	const shift = step => {
+		const c = view.cursor;
+		view.cursor = view.mode === 'year'
+			? new Date(c.getFullYear() + step, 0, 1)
+			: new Date(c.getFullYear(), c.getMonth() + step, 1);
+		renderCalendar();
 	};
+	$('calendarPrevBtn').addEventListener('click', () => shift(-1));
+	$('calendarNextBtn').addEventListener('click', () => shift(1));
+	$('calendarMode').addEventListener('change', () => {
+		view.mode = $('calendarMode').value;
+		renderCalendar();
+	});
+	$('calendarMetric').addEventListener('change', () => {
+		view.metric = $('calendarMetric').value;
+		renderCalendar();
+	});
+}
 
-	/** Restarts the interval if it's not already running. */
-	const restartCountdown = () => {
-		if (breakCard._timeLeft > 0 && !breakCard._countdown) {
-			breakCard._countdown = setInterval(() => {
-				breakCard._timeLeft = Math.max(0, breakCard._timeLeft - 1);
-				breakCard._elapsed = (parseInt(breakCard._elapsed, 10) || 0) + 1;
-				updateDisplay();
-			}, 1000);
+// ==========================================================================
+//  Progress Charting (Chart.js)
+// ==========================================================================
+
+/**
+ * Gets theme-appropriate colors for chart rendering.
+ * @returns {object} An object with {grid, tick, legend} color strings.
+ */
+function chartColors() {
+	let appearance = App.settings.appearance;
+	if (appearance === 'system') {
+		appearance = MQL_DARK.matches ? 'dark' : 'light';
+	}
+	return appearance === 'dark' 
+		? { grid: '#334155', tick: '#cbd5e1', legend: '#e5e7eb' } 
+		: { grid: '#ddd', tick: '#333', legend: '#111' };
+}
+
+/**
+ * Processes workout history into data arrays for charting.
+ * @param {Array<object>} workouts - The workouts to chart, oldest first.
+ * @param {string} selected - The selected exercise name, or '__all'.
+ * @returns {object} An object with {labels, difficultyData, weightData, ...} arrays.
+ */
+function buildProgressData(workouts, selected) {
+	const unit = normalizeUnit(App.settings.defaultUnit) || 'kg'; // Weights are charted in the default unit
+	let labels = [], difficultyData = [], weightData = [], durationData = [], breakData = [], oneRepMaxData = [];
+
+	if (selected === '__all') {
+		// Data for "All exercises"
+		labels = workouts.map(formatWorkoutDate);
+		difficultyData = workouts.map(w => {
+			const sets = (w.exercises || []).filter(e => e.type !== 'break').flatMap(ex => ex.sets || []);
+			if (!sets.length) return 0;
+			const total = sets.reduce((sum, set) => sum + (parseFloat(set.difficulty || 0) || 0), 0);
+			return total / sets.length;
+		});
+		weightData = workouts.map(w => {
+			return (w.exercises || []).filter(e => e.type !== 'break')
+				.reduce((sum, ex) => sum + convertWeight(exerciseVolume(ex), exerciseUnit(ex), unit), 0);
+		});
+		durationData = workouts.map(w => w.totalTime || 0);
+		breakData = workouts.map(w => {
+			const groups = workoutGroups(w.exercises);
+			return (w.exercises || []).filter(e => e.type === 'break').reduce((sum, br) => sum + restSeconds(br, groups), 0);
+		});
+	} else {
+		// Data for a specific exercise
+		workouts.forEach(w => {
+			const matches = (w.exercises || []).filter(ex => ex.type !== 'break' && exerciseKey(ex) === selected);
+			if (!matches.length) return;
+			
+			labels.push(formatWorkoutDate(w));
+			
+			const sets = matches.flatMap(ex => ex.sets || []);
+			const avgDiff = sets.length ? sets.reduce((s, set) => s + (parseFloat(set.difficulty || 0) || 0), 0) / sets.length : 0;
+			difficultyData.push(avgDiff);
+			
+			const totalVolume = matches.reduce((s, ex) => s + convertWeight(exerciseVolume(ex), exerciseUnit(ex), unit), 0);
+			weightData.push(totalVolume);
+			
+			const bestOneRepMax = matches.reduce((best, ex) => Math.max(best, convertWeight(exerciseOneRepMax(ex), exerciseUnit(ex), unit)), 0);
+			oneRepMaxData.push(roundTenth(bestOneRepMax));
+			
+			const duration = matches.reduce((s, ex) => s + (parseInt(ex.time || 0, 10) || 0), 0);
+			durationData.push(duration);
+			
+			let afters = []; // Breaks *after* this exercise
+			const exs = w.exercises || [];
+			const groups = workoutGroups(exs);
+			for (let i = 0; i < exs.length; i++) {
+				if (exs[i].type !== 'exercise' || exerciseKey(exs[i]) !== selected) continue;
+				const group = exs[i].group ? groups.get(exs[i].group) : null;
+				if (group) {
+					// In a group, the rest comes once per round
+					if (group.rest) afters.push(restSeconds(group.rest, groups) / Math.max(1, group.rounds - 1));
+				} else if (exs[i + 1] && exs[i + 1].type === 'break') {
+					afters.push(restSeconds(exs[i + 1], groups));
+				}
+			}
+			breakData.push(afters.length ? (afters.reduce((a, b) => a + b, 0) / afters.length) : 0);
+		});
+	}
+
+	if (!labels.length) {
+		labels = ['No data'];
+		difficultyData = [0];
+		weightData = [0];
+		durationData = [0];
+		breakData = [0];
+		oneRepMaxData = [0];
+	}
+	return { labels, difficultyData, weightData, durationData, breakData, oneRepMaxData };
+}
+
+/**
+ * Creates a new chart or updates an existing one.
+ * @param {string} chartId - The canvas element ID.
+ * @param {string} type - The key for App.charts (e.g., 'difficulty').
+ * @param {Array<string>} labels - The X-axis labels.
+ * @param {Array<number>} data - The Y-axis data points.
+ * @param {string} datasetLabel - The label for the dataset.
+ */
+function createOrUpdateChart(chartId, type, labels, data, datasetLabel) {
+	const canvas = $(chartId);
+	if (!canvas) return;
+	
+	// Don't try to render a chart on a hidden canvas
+	if (canvas.offsetParent === null) {
+		return;
+	}
+	
+	const colors = chartColors();
+	const cfg = {
+		type: 'line',
+		data: {
+			labels,
+			datasets: [{
+				label: datasetLabel,
+				data,
+				borderColor: 'rgb(38,115,255)',
+				backgroundColor: 'rgba(38,115,255,0.1)',
+				fill: true,
+				tension: 0.2,
+				pointRadius: 4
+			}]
+		},
+		options: {
+			responsive: true, 
+			maintainAspectRatio: true,
+			scales: { 
+				x: { display: false, grid: { drawTicks: false, drawBorder: false } }, 
+				y: { grid: { color: colors.grid }, ticks: { color: colors.tick } } 
+			},
+			plugins: { 
+				legend: { labels: { color: colors.legend } }, 
+				tooltip: { callbacks: { title: (ctx) => labels[ctx[0].dataIndex] } } 
+			}
 		}
 	};
+	
+	// Apply specific colors/options
+	if (type === 'weight') { 
+		cfg.data.datasets[0].borderColor = 'rgb(34,197,94)'; 
+		cfg.data.datasets[0].backgroundColor = 'rgba(34,197,94,0.1)'; 
+	} else if (type === 'duration') { 
+		cfg.data.datasets[0].borderColor = 'rgb(255,165,0)'; 
+		cfg.data.datasets[0].backgroundColor = 'rgba(255,165,0,0.1)'; 
+	} else if (type === 'break') { 
+		cfg.data.datasets[0].borderColor = 'rgb(255,44,44)'; 
+		cfg.data.datasets[0].backgroundColor = 'rgba(255,44,44,0.1)'; 
+	} else if (type === 'oneRepMax') { 
+		cfg.data.datasets[0].borderColor = 'rgb(147,51,234)'; 
+		cfg.data.datasets[0].backgroundColor = 'rgba(147,51,234,0.1)'; 
+	} else { // difficulty
+		cfg.options.scales.y.suggestedMin = 0; 
+		cfg.options.scales.y.suggestedMax = 10; 
+	}
 
-	// Wire up countdown controls
-	btnAdd.addEventListener('click', () => {
-		breakCard._timeLeft = (parseInt(breakCard._timeLeft, 10) || 0) + 10;
-		updateDisplay();
-		restartCountdown();
-	});
-	btnSub.addEventListener('click', () => {
-		breakCard._timeLeft = Math.max(0, (parseInt(breakCard._timeLeft, 10) || 0) - 10);
-		updateDisplay();
-		restartCountdown();
-	});
-	btnReset.addEventListener('click', () => {
-		breakCard._timeLeft = parseInt(breakCard.dataset.plannedDuration || 0, 10) || 0;
-		breakCard._elapsed = 0;
-		updateDisplay();
-		restartCountdown();
-	});
-	btnSkip.addEventListener('click', () => {
-		breakCard._timeLeft = 0;
-		updateDisplay();
-	});
-
-	// Initial render & start
-	updateDisplay();
-	restartCountdown();
+	// Update existing chart or create new one
+	if (App.charts[type]) {
+		App.charts[type].config.type = cfg.type;
+		App.charts[type].config.data = cfg.data;
+		App.charts[type].options = cfg.options;
+		App.charts[type].update();
+	} else {
+		App.charts[type] = new Chart(canvas.getContext('2d'), cfg);
+	}
 }
 
-// ==========================================================================
-//  Workout Flow (Start, End, Complete Row)
-// ==========================================================================
+/** Destroys all Chart.js instances. */
+function destroyCharts() {
+	Object.keys(App.charts).forEach(key => {
+		if (App.charts[key]) {
+			App.charts[key].destroy();
+			App.charts[key] = null;
+		}
+	});
+}
 
 /**
- * Handles manually completing a row (exercise or break).
- * @param {HTMLElement} card - The card to complete.
+ * Renders all progress charts.
+ * @returns {Promise<void>}
  */
-function completeRow(card) {
-	const container = $('workoutListContainer');
-	const cards = Array.from(container.children);
-	const idx = cards.indexOf(card);
-	if (idx < 0) return;
+async function renderProgress() {
+	const ticket = ++App.progressRenders;
+	await updateExerciseSelector();
+	const selected = $('exerciseSelect')?.value || '__all';
+	const workouts = await queryWorkouts(selected === '__all' ? {} : { exercise: selected });
+	if (ticket !== App.progressRenders) return; // Rendered again meanwhile
 
-	if (card.classList.contains('break-card')) {
-		// If it's a break, stop its countdown
-		if (card._countdown) {
-			clearInterval(card._countdown);
-			card._countdown = null;
-		}
-		card.classList.remove('break-warning');
-		card.classList.add('break-done');
+	// Destroy existing charts to prevent rendering issues
+	destroyCharts();
+	
+	// Re-create charts
+	const d = buildProgressData(workouts, selected);
 
-		// Ensure the time display records proper elapsed seconds
-		const td = card.querySelector('.time-display');
-		if (td) {
-			td.dataset.seconds = parseInt(card._elapsed || 0, 10) || 0;
-			td.textContent = fmtTime(parseInt(card._elapsed || 0, 10) || 0);
-		}
-	} else {
-		// It's an exercise card
-		card.classList.add('exercise-done');
-	}
+	createOrUpdateChart(
+		'difficultyChart', 'difficulty', d.labels, d.difficultyData,
+		selected === '__all' ? 'Avg Difficulty (all exercises)' : `Avg Difficulty — ${selected}`
+	);
+	createOrUpdateChart(
+		'weightChart', 'weight', d.labels, d.weightData,
+		selected === '__all' ? `Total Load (Volume) (${App.settings.defaultUnit})` : `Total Load — ${selected} (${App.settings.defaultUnit})`
+	);
+	createOrUpdateChart(
+		'durationChart', 'duration', d.labels, d.durationData,
+		selected === '__all' ? 'Workout Duration (sec)' : `Duration — ${selected} (sec)`
+	);
+	createOrUpdateChart(
+		'breakChart', 'break', d.labels, d.breakData,
+		selected === '__all' ? 'Total Break Time (sec)' : `Avg Break After — ${selected} (sec)`
+	);
 
-	// Hide the "Done" button
-	const doneBtn = card.querySelector('.row-done-btn');
-	if (doneBtn) {
-		doneBtn.style.display = 'none';
+	// The 1RM chart only makes sense for a single exercise
+	$('oneRepMaxContainer').style.display = selected === '__all' ? 'none' : '';
+	if (selected !== '__all') {
+		const formula = (E1RM_FORMULAS[App.settings.e1rmFormula] || E1RM_FORMULAS.epley).label;
+		createOrUpdateChart(
+			'oneRepMaxChart', 'oneRepMax', d.labels, d.oneRepMaxData,
+			`Est. 1RM (${formula}) — ${selected} (${App.settings.defaultUnit})`
+		);
 	}
 
-	stopRowTimer(idx); // Stop this row's stopwatch
-
-	// --- Auto-advance to the next row ---
-	if (idx + 1 < cards.length) {
-		const next = cards[idx + 1];
-		if(App.workoutStarted){
-			startRowTimer(idx + 1); // Start next row's stopwatch
-			
-			// If next card is a break, start its countdown
-			if (next.classList.contains('break-card')) {
-				const inp = next.querySelector('.break-body input[type="number"]');
-				if (inp) next.dataset.plannedDuration = parseInt(inp.value || 0, 10) || 0;
-				next._timeLeft = parseInt(next.dataset.plannedDuration || 0, 10) || 0;
-				next._elapsed = 0;
-				startBreakCountdown(next);
-			}
-		}
-		else{
-			App.activeRowIndex = idx + 1;
-		}
-	} else {
-		// This was the last row, end the workout
-		pauseWorkout(); // <-- PAUSE instead of hard stop
-		
-		const btn = $('startWorkoutBtn');
-		btn.textContent = 'Start'; // Reset button to 'Start'
-		btn.dataset.active = 'false';
-		btn.classList.remove('end');
-		// document.body.classList.remove('show-workout'); // Don't remove this, user might want to save
-	}
+	// Muscle groups are trained by many exercises, so they only go with "All exercises"
+	$('muscleVolumeContainer').style.display = selected === '__all' ? '' : 'none';
+	if (selected === '__all') renderMuscleVolume(workouts);
 }
 
-/** Pauses the global timer and all active row/break timers. */
-function pauseWorkout() {
-	// Stop all row timers (pauses them)
-	App.rowTimers.forEach((id, i) => {
-		if (id) {
-			clearInterval(id);
-			App.rowTimers[i] = null;
-		}
+/** Attaches a ResizeObserver to charts to handle resizing. */
+function attachPanelResizeObserver() {
+	const canvases = ['difficultyChart', 'weightChart', 'durationChart', 'breakChart', 'oneRepMaxChart', 'muscleVolumeChart'].map(id => $(id)).filter(c => c);
+	if (!canvases.length) return;
+	
+	if (App.panelResizeObserver) App.panelResizeObserver.disconnect();
+	
+	App.panelResizeObserver = new ResizeObserver(() => {
+		Object.values(App.charts).forEach(chart => {
+			if (chart) {
+				try { chart.resize(); } catch (e) { /* ignore */ }
+			}
+		});
 	});
-	// By NOT calling stopRowTimer(), App.activeRowIndex is preserved.
 	
-	App.workoutStarted = false; // Set state to "not running"
-	stopWorkoutTimer(); // Pauses global timer
+	canvases.forEach(canvas => App.panelResizeObserver.observe(canvas));
+}
 
-	// Find any active break countdowns and "pause" them
-	const cards = Array.from($('workoutListContainer').children);
-	cards.forEach(card => {
-		if (card.classList.contains('break-card') && card._countdown && !card.classList.contains('break-done')) {
-			clearInterval(card._countdown);
-			card._countdown = 'paused'; // Use a string flag to indicate it's pausable
-		}
-	});
+// ==========================================================================
+//  Muscle Group Volume
+// ==========================================================================
+
+/** Share of a set credited to each secondary muscle of its exercise. */
+const SECONDARY_MUSCLE_CREDIT = 0.5;
+
+/** Weeks in the muscle volume chart, the current one included. */
+const MUSCLE_VOLUME_WEEKS = 8;
+
+/** Complete weeks averaged when comparing a muscle with its target. */
+const MUSCLE_TARGET_WEEKS = 4;
+
+/** Weekly hard sets per muscle, unless the user set their own in App.settings.muscleTargets. */
+const DEFAULT_MUSCLE_TARGET = { min: 10, max: 20 };
+
+/** How a muscle's weekly sets compare with its target, see muscleStatus(). */
+const MUSCLE_STATUSES = {
+	under: { label: 'Under' },
+	ok: { label: 'On target' },
+	over: { label: 'Over' }
+};
+
+/**
+ * Whether a set counts towards weekly volume: it has reps and is at least as
+ * hard as App.settings.hardSetRpe (0 counts every set).
+ * @param {object} set - The set object.
+ * @returns {boolean} True for a hard set.
+ */
+function isHardSet(set) {
+	if (!((parseInt(set.reps || 0, 10) || 0) > 0)) return false;
+	return (parseFloat(set.difficulty || 0) || 0) >= (parseInt(App.settings.hardSetRpe, 10) || 0);
 }
 
 /**
- * Toggles the workout state (Start, Pause, Resume).
+ * The weekly hard set range wanted for a muscle.
+ * @param {string} muscle - Key of MUSCLE_GROUPS.
+ * @returns {{min: number, max: number}} The target.
  */
-function startWorkout() {
-	const btn = $('startWorkoutBtn');
-	const container = $('workoutListContainer');
-	const cards = Array.from(container.children);
+const muscleTarget = muscle => Object.assign({}, DEFAULT_MUSCLE_TARGET, App.settings.muscleTargets?.[muscle]);
 
-	if (btn.dataset.active === 'true') {
-		// --- PAUSING WORKOUT ---
-		// MODAL REMOVED
-		pauseWorkout();
-		btn.textContent = 'Resume'; // Change text to "Resume"
-		btn.dataset.active = 'false';
-		btn.classList.remove('end');
-		// document.body.classList.remove('show-workout'); // Keep UI active
-		return;
-	}
+/**
+ * Compares weekly sets with a muscle's target.
+ * @param {number} sets - Hard sets per week.
+ * @param {string} muscle - Key of MUSCLE_GROUPS.
+ * @returns {string} Key of MUSCLE_STATUSES.
+ */
+function muscleStatus(sets, muscle) {
+	const target = muscleTarget(muscle);
+	if (sets < target.min) return 'under';
+	return sets > target.max ? 'over' : 'ok';
+}
 
-	// --- STARTING / RESUMING WORKOUT ---
-	if (!cards.length) {
-		showModal('Add at least one exercise first.');
-		return;
-	}
+/**
+ * Totals hard sets and tonnage per muscle group for each of the last
+ * MUSCLE_VOLUME_WEEKS weeks. An exercise's sets count fully for its primary
+ * muscles and by SECONDARY_MUSCLE_CREDIT for its secondary ones; exercises
+ * the catalog doesn't know are only counted in `unmapped`.
+ * @param {Array<object>} workouts - The whole history.
+ * @returns {{weeks: Array<Date>, sets: object, tonnage: object, unit: string, unmapped: number, averaged: number}}
+ *   The week starts, oldest first; sets and tonnage per week, keyed by muscle; the
+ *   tonnage unit; hard sets of unknown exercises; and how many complete weeks
+ *   (up to MUSCLE_TARGET_WEEKS) to average for the targets.
+ */
+function buildMuscleVolume(workouts) {
+	const unit = normalizeUnit(App.settings.defaultUnit) || 'kg';
+	const thisWeek = weekStart(new Date());
+	const weeks = Array.from({ length: MUSCLE_VOLUME_WEEKS }, (_, i) => addDays(thisWeek, (i + 1 - MUSCLE_VOLUME_WEEKS) * 7));
+	const perWeek = () => Object.fromEntries(Object.keys(MUSCLE_GROUPS).map(key => [key, weeks.map(() => 0)]));
+	const sets = perWeek(), tonnage = perWeek();
+	let unmapped = 0, first = Infinity;
+
+	workouts.forEach(w => {
+		const t = Date.parse(w.date);
+		if (isNaN(t)) return;
+		first = Math.min(first, t);
+		// Rounded, as a week across a DST change is an hour short or long
+		const week = Math.round((weekStart(new Date(t)) - weeks[0]) / (7 * 86400000));
+		if (week < 0 || week >= weeks.length) return;
+
+		(w.exercises || []).filter(ex => ex.type !== 'break').forEach(ex => {
+			const hard = (ex.sets || []).filter(isHardSet);
+			if (!hard.length) return;
+			const entry = catalogExercise(ex.catalogId) || matchCatalogExercise(ex.name);
+			if (!entry || !(entry.primary || []).length) {
+				unmapped += hard.length;
+				return;
+			}
+			const load = convertWeight(hard.reduce((sum, set) => sum + setVolume(set), 0), exerciseUnit(ex), unit);
+			const credit = (muscles, share) => (muscles || []).filter(key => sets[key]).forEach(key => {
+				sets[key][week] += hard.length * share;
+				tonnage[key][week] += load * share;
+			});
+			credit(entry.primary, 1);
+			credit((entry.secondary || []).filter(key => !entry.primary.includes(key)), SECONDARY_MUSCLE_CREDIT);
+		});
+	});
 
-	// Check if it's a fresh start or a resume
-	const isFreshStart = !App.workoutStarted && App.workoutSeconds === 0;
+	// Weeks before the first workout don't drag the averages down
+	const trained = isFinite(first) ? Math.round((thisWeek - weekStart(new Date(first))) / (7 * 86400000)) : 0;
+	return { weeks, sets, tonnage, unit, unmapped, averaged: Math.max(0, Math.min(MUSCLE_TARGET_WEEKS, trained)) };
+}
 
-	if (isFreshStart) {
-		// --- FRESH START ---
-		document.body.classList.add('show-workout');
-		// Add "Done" buttons and timers to all cards
-		cards.forEach(card => {
-			ensureTimeCell(card); // Ensure time cell exists FIRST
-			createDoneButton(card);
-			const rail = card.querySelector('.card-action-rail');
-			if (rail) rail.classList.add('workout-active');
-		});
+/**
+ * Averages the complete weeks of a muscle's weekly totals, or gives the
+ * current week's if there aren't any yet.
+ * @param {Array<number>} values - Totals per week, oldest first, ending with the current week.
+ * @param {number} count - Complete weeks to average.
+ * @returns {number} The average.
+ */
+function weeklyAverage(values, count) {
+	if (!count) return values[values.length - 1];
+	return values.slice(-1 - count, -1).reduce((a, b) => a + b, 0) / count;
+}
 
-		// Start the first card
-		startRowTimer(0);
-		const first = cards[0];
-		if (first && first.classList.contains('break-card')) {
-			const inp = first.querySelector('.break-body input[type="number"]');
-			if (inp) first.dataset.plannedDuration = parseInt(inp.value || 0, 10) || 0;
-			first._timeLeft = parseInt(first.dataset.plannedDuration || 0, 10) || 0;
-			first._elapsed = 0;
-			startBreakCountdown(first);
+/**
+ * Draws the stacked weekly sets (or tonnage) chart, one dataset per muscle
+ * trained in the period.
+ * @param {object} v - See buildMuscleVolume().
+ */
+function renderMuscleVolumeChart(v) {
+	const canvas = $('muscleVolumeChart');
+	if (!canvas || canvas.offsetParent === null) return;
+
+	const metric = $('muscleVolumeMetric').value === 'tonnage' ? 'tonnage' : 'sets';
+	const keys = Object.keys(MUSCLE_GROUPS);
+	const colors = chartColors();
+	const datasets = keys
+		.map((key, i) => ({ key, hue: Math.round(i * 360 / keys.length) }))
+		.filter(({ key }) => v.sets[key].some(n => n > 0))
+		.map(({ key, hue }) => ({
+			label: MUSCLE_GROUPS[key],
+			data: v[metric][key].map(metric === 'tonnage' ? Math.round : roundTenth),
+			backgroundColor: `hsl(${hue}, 65%, 55%)`
+		}));
+	const cfg = {
+		type: 'bar',
+		data: {
+			labels: v.weeks.map(d => d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })),
+			datasets
+		},
+		options: {
+			responsive: true,
+			maintainAspectRatio: true,
+			scales: {
+				x: { stacked: true, grid: { display: false }, ticks: { color: colors.tick } },
+				y: {
+					stacked: true,
+					beginAtZero: true,
+					grid: { color: colors.grid },
+					ticks: { color: colors.tick },
+					title: { display: true, color: colors.tick, text: metric === 'tonnage' ? `Tonnage (${v.unit})` : 'Hard sets' }
+				}
+			},
+			plugins: {
+				legend: { labels: { color: colors.legend, boxWidth: 12 } },
+				tooltip: { callbacks: { title: ctx => `Week of ${v.weeks[ctx[0].dataIndex].toLocaleDateString()}` } }
+			}
 		}
-		
-		$('workoutTotalTimer').style.display = 'block';
-		$('workoutTotalTimer').textContent = 'Total Time: 00:00';
-		App.workoutSeconds = 0; // <-- Explicitly reset here
-	
+	};
+
+	if (App.charts.muscleVolume) {
+		App.charts.muscleVolume.config.data = cfg.data;
+		App.charts.muscleVolume.options = cfg.options;
+		App.charts.muscleVolume.update();
 	} else {
-		// --- RESUMING ---
-		// Resume the active row timer
-		if (App.activeRowIndex !== null) {
-			startRowTimer(App.activeRowIndex);
-		}
-		// Resume any active break countdowns
-		cards.forEach(card => {
-			if (card.classList.contains('break-card') && card._countdown === 'paused') {
-				card._countdown = null; // Clear the 'paused' flag
-				startBreakCountdown(card); // This function will pick up where it left off
-			}
-		});
+		App.charts.muscleVolume = new Chart(canvas.getContext('2d'), cfg);
 	}
-
-	// This runs for both Fresh Start and Resume
-	btn.textContent = 'End';
-	btn.dataset.active = 'true';
-	btn.classList.add('end');
-	App.workoutStarted = true;
-	startWorkoutTimer();
 }
 
 /**
- * Cleans up the UI and state when a workout ends.
+ * Fills the muscle volume table: this week's and the average weekly sets and
+ * tonnage per muscle, with editable targets and how the average compares.
+ * @param {object} v - See buildMuscleVolume().
  */
-function endWorkout() {
-	// Stop all row timers
-	App.rowTimers.forEach((id, i) => {
-		if (id) stopRowTimer(i);
+function renderMuscleVolumeTable(v) {
+	const averaged = v.averaged
+		? `Avg of ${v.averaged} wk${v.averaged === 1 ? '' : 's'}`
+		: 'Avg (this week)';
+	const head = create('tr', {},
+		...['Muscle', 'This week', averaged, `Tonnage / wk (${v.unit})`, 'Target sets', ''].map(text => create('th', {}, text)));
+
+	const rows = Object.entries(MUSCLE_GROUPS).map(([key, label]) => {
+		const avgSets = weeklyAverage(v.sets[key], v.averaged);
+		const status = muscleStatus(avgSets, key);
+		const target = muscleTarget(key);
+		const bound = (which, value) => create('input', {
+			type: 'number', min: '0', step: '1', inputMode: 'numeric', value: String(value),
+			class: 'muscle-target-input', 'data-muscle': key, 'data-bound': which,
+			title: `${label} ${which === 'min' ? 'minimum' : 'maximum'} weekly sets`
+		});
+		return create('tr', { class: `muscle-row ${status}` },
+			create('th', { scope: 'row' }, label),
+			create('td', {}, String(roundTenth(v.sets[key][v.sets[key].length - 1]))),
+			create('td', {}, String(roundTenth(avgSets))),
+			create('td', {}, Math.round(weeklyAverage(v.tonnage[key], v.averaged)).toLocaleString()),
+			create('td', { class: 'muscle-target' }, bound('min', target.min), '–', bound('max', target.max)),
+			create('td', {}, create('span', { class: `muscle-status ${status}` }, MUSCLE_STATUSES[status].label))
+		);
 	});
-	App.activeRowIndex = null;
-	App.workoutStarted = false;
-	stopWorkoutTimer();
 
-	// Clear break countdowns and reset their UI
-	const cards = Array.from($('workoutListContainer').children);
-	cards.forEach(card => {
-		// Only reset the UI for breaks that were *in progress*
-		if (card.classList.contains('break-card') && card._countdown && !card.classList.contains('break-done')) {
-			clearInterval(card._countdown);
-			card._countdown = null;
-			const cell = card.querySelector('.break-body');
-			const duration = card.dataset.plannedDuration || 60;
-			if (cell) {
-				cell.innerHTML = `Break: <input type="number" min="1" value="${duration}"> sec`;
-			}
-		}
+	$('muscleVolumeTable').replaceChildren(create('thead', {}, head), create('tbody', {}, ...rows));
+
+	const notes = [`Secondary muscles get ${SECONDARY_MUSCLE_CREDIT * 100}% credit.`];
+	const rpe = parseInt(App.settings.hardSetRpe, 10) || 0;
+	notes.push(rpe ? `Hard sets are RPE ${rpe} or harder.` : 'Every set with reps counts as a hard set.');
+	if (v.unmapped) {
+		notes.push(`Not counted: ${v.unmapped} set${v.unmapped === 1 ? '' : 's'} of exercises without muscle groups (link them to the catalog in Settings).`);
+	}
+	$('muscleVolumeNote').textContent = notes.join(' ');
+}
+
+/**
+ * Renders the muscle group chart and table, which cover all exercises.
+ * @param {Array<object>} workouts - The whole history.
+ */
+function renderMuscleVolume(workouts) {
+	const v = buildMuscleVolume(workouts);
+	renderMuscleVolumeChart(v);
+	renderMuscleVolumeTable(v);
+}
+
+/**
+ * Saves a target edited in the muscle volume table. A minimum above the
+ * maximum (or the reverse) moves the other bound along.
+ * @param {HTMLInputElement} input - The min or max input.
+ * @returns {Promise<void>}
+ */
+async function saveMuscleTarget(input) {
+	const muscle = input.dataset.muscle;
+	const value = Math.max(0, parseInt(input.value, 10) || 0);
+	const target = muscleTarget(muscle);
+	target[input.dataset.bound] = value;
+	if (target.min > target.max) {
+		if (input.dataset.bound === 'min') target.max = value;
+		else target.min = value;
+	}
+	App.settings.muscleTargets = Object.assign({}, App.settings.muscleTargets, { [muscle]: target });
+	saveSettings();
+	renderMuscleVolumeTable(buildMuscleVolume(await queryWorkouts()));
+}
 
-		// Remove "Done" button and active rail state
-		const doneBtn = card.querySelector('.row-done-btn');
-		if (doneBtn) doneBtn.remove();
-		const rail = card.querySelector('.card-action-rail');
-		if (rail) rail.classList.remove('workout-active');
+/** Wires up the muscle volume chart's metric picker and the target inputs. */
+function wireMuscleVolume() {
+	$('muscleVolumeMetric').addEventListener('change', async () => renderMuscleVolumeChart(buildMuscleVolume(await queryWorkouts())));
+	$('muscleVolumeTable').addEventListener('change', e => {
+		if (e.target.matches('.muscle-target-input')) saveMuscleTarget(e.target);
 	});
 }
 
 // ==========================================================================
-//  Save / Edit / Delete / Cancel
+//  CSV Format (RFC 4180)
 // ==========================================================================
 
 /**
- * Saves the current workout plan (or edited workout) to history.
+ * Formats one CSV field, quoting it when it contains a quote, comma, line
+ * break or leading/trailing space, with embedded quotes doubled.
+ * @param {*} value - The value; null and undefined become an empty field.
+ * @returns {string} The field.
  */
-function saveWorkout() {
-	// End workout to freeze timers if active
-	if (App.workoutStarted) {
-		endWorkout();
-	}
+function csvField(value) {
+	const str = value == null ? '' : String(value);
+	return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
 
-	const container = $('workoutListContainer');
-	const cards = Array.from(container.children);
-	if (!cards.length) { 
-		showModal('Add at least one exercise!'); 
-		return; 
-	}
+/**
+ * Formats one CSV record, including its CRLF line ending.
+ * @param {Array<*>} values - The field values.
+ * @returns {string} The record.
+ */
+const csvRecord = values => values.map(csvField).join(',') + '\r\n';
 
-	// Read data from all cards
-	const exercises = cards.map(card => {
-		const td = card.querySelector('.time-display');
-		const secs = parseInt(td?.dataset.seconds || 0, 10) || 0;
+/**
+ * Creates a streaming CSV tokenizer. Text can be pushed in chunks of any size
+ * (a quoted field or a CRLF may span chunks); each complete record is passed
+ * to `onRecord` as it is found. A leading BOM is dropped and blank lines are
+ * ignored. Malformed records are still passed on, with an `error`, so the
+ * caller can report them.
+ * @param {function({fields: Array<string>, line: number, error: string|null})} onRecord -
+ *   Called per record; `line` is the line the record starts on (1-based).
+ * @returns {{push: function(string), end: function()}} The tokenizer.
+ */
+function createCSVParser(onRecord) {
+	let state = 'start'; // 'start' | 'unquoted' | 'quoted' | 'quote' (a quote inside a quoted field) | 'after' (a closed quoted field)
+	let field = '';
+	let fields = [];
+	let error = null;
+	let line = 1;
+	let recordLine = 1;
+	let atStart = true; // Nothing has been read yet, so a BOM may follow
+	let afterCR = false; // The last character was a CR ending a record, so an LF is part of it
+
+	const endField = () => {
+		fields.push(field);
+		field = '';
+		state = 'start';
+	};
+	const endRecord = () => {
+		const blank = !fields.length && state === 'start' && !field;
+		endField();
+		if (!blank) onRecord({ fields, line: recordLine, error });
+		fields = [];
+		error = null;
+	};
 
-		if (card.classList.contains('break-card')) {
-			// Save break data
-			const planned = parseInt(card.dataset.plannedDuration || 0, 10) || (parseInt(card.querySelector('.break-body input')?.value || 0, 10) || 0);
-			return { type: 'break', duration: planned, time: secs };
-		} else {
-			// Save exercise data
-			const name = card.querySelector('.exercise-name-input')?.value || '';
-			const reps = parseInt(card.querySelector('.reps-field input')?.value || 0, 10) || 0;
-			let weights = [];
-			if (card.querySelector('.dropset-checkbox')?.checked) {
-				weights = Array.from(card.querySelectorAll('.dropset-inputs input')).map(i => i.value || 0);
-			} else {
-				weights = [card.querySelector('.single-weight')?.value || 0];
+	return {
+		push(chunk) {
+			for (const ch of String(chunk)) {
+				if (atStart) {
+					atStart = false;
+					if (ch === '\uFEFF') continue;
+				}
+				if (afterCR) {
+					afterCR = false;
+					if (ch === '\n') continue;
+				}
+
+				if (state === 'quoted') {
+					if (ch === '"') state = 'quote';
+					else {
+						field += ch;
+						if (ch === '\n') line++;
+					}
+					continue;
+				}
+				if (state === 'quote') {
+					if (ch === '"') {
+						field += '"';
+						state = 'quoted';
+						continue;
+					}
+					state = 'after';
+				}
+
+				if (ch === ',') {
+					endField();
+				} else if (ch === '\r' || ch === '\n') {
+					endRecord();
+					afterCR = ch === '\r';
+					recordLine = ++line;
+				} else if (ch === '"' && state === 'start' && !field) {
+					state = 'quoted';
+				} else {
+					if (state === 'after' || ch === '"') {
+						error = error || `unexpected ${ch === '"' ? 'quote' : 'text after a quoted field'} in field ${fields.length + 1}`;
+					}
+					field += ch;
+					if (state !== 'after') state = 'unquoted';
+				}
 			}
-			const unit = card.querySelector('.unit-select')?.value || App.settings.defaultUnit;
-			const difficulty = parseInt(card.querySelector('.difficulty-slider')?.value || 0, 10) || 0;
-			return {
-				type: 'exercise',
-				name,
-				reps,
-				weights,
-				unit,
-				dropset: !!card.querySelector('.dropset-checkbox')?.checked,
-				difficulty,
-				time: secs
-			};
+		},
+		end() {
+			if (state === 'quoted') error = error || `unterminated quoted field ${fields.length + 1}`;
+			endRecord();
 		}
-	});
+	};
+}
 
-	// Compute total time
-	let totalTime = App.workoutSeconds > 0 
-		? App.workoutSeconds 
-		: exercises.reduce((s, ex) => s + (parseInt(ex.time || 0, 10) || 0), 0);
+/**
+ * Tokenizes a whole CSV text, see createCSVParser().
+ * @param {string} text - The CSV text.
+ * @returns {Array<{fields: Array<string>, line: number, error: string|null}>} The records.
+ */
+function parseCSV(text) {
+	const records = [];
+	const parser = createCSVParser(record => records.push(record));
+	parser.push(text);
+	parser.end();
+	return records;
+}
 
-	if (App.editIndex != null) {
-		// Update existing workout
-		App.workouts[App.editIndex].exercises = exercises;
-		App.workouts[App.editIndex].date = new Date().toLocaleString();
-		App.workouts[App.editIndex].totalTime = totalTime;
-		App.editIndex = null;
-		$('cancelEditBtn').style.display = 'none';
-	} else {
-		// Add new workout
-		App.workouts.push({ date: new Date().toLocaleString(), exercises, totalTime });
+/**
+ * Tokenizes a CSV file chunk by chunk as it is read, so its text is never
+ * held in memory as a whole; see createCSVParser().
+ * @param {Blob} file - The file.
+ * @returns {Promise<Array<{fields: Array<string>, line: number, error: string|null}>>} The records.
+ */
+async function parseCSVFile(file) {
+	const records = [];
+	const parser = createCSVParser(record => records.push(record));
+	const decoder = new TextDecoder(); // Keeps a character split across chunks until it's complete
+	const reader = file.stream().getReader();
+	for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+		parser.push(decoder.decode(chunk.value, { stream: true }));
 	}
+	parser.push(decoder.decode());
+	parser.end();
+	return records;
+}
 
-	saveWorkouts();
-	App.settings.historyDirty = true;
-	saveSettings();
-	renderBackupAndDirtyUI();
-	renderHistory();
-	updateExerciseSelector();
-	renderProgress(); // Update charts
+// ==========================================================================
+//  CSV Export / Import
+// ==========================================================================
 
-	// Reset planning area
-	$('workoutListContainer').innerHTML = '';
-	App.workoutSeconds = 0;
-	App.workoutStarted = false;
-	$('workoutTotalTimer').style.display = 'none';
-	document.body.classList.remove('show-workout');
+function exportWorkoutsToCSV() {
+    if (!App.workouts.length) {
+        showModal('No history to export.');
+        return null;
+    }
 
-	const btn = $('startWorkoutBtn');
-	btn.textContent = 'Start';
-	btn.dataset.active = 'false';
-	btn.classList.remove('end');
-}
+    // Each row = one break, or one set of an exercise, from one workout. An
+    // exercise without sets gets a row of its own with Set 0.
+    const header = [
+        'WorkoutIndex', 'Date', 'TotalTime',
+        'Type', 'Name', 'Set', 'Reps', 'Weights', 'Unit', 
+        'Difficulty', 'Dropset', 'Duration', 'Time', 'Group', 'ExerciseTime'
+    ];
 
-/**
- * Loads a workout from history into the planning area for editing.
- * @param {number} index - The index of the workout in App.workouts.
- */
-function editWorkout(index) {
-	const container = $('workoutListContainer');
-	container.innerHTML = ''; // Clear planning area
-	
-	// If a workout is active, end it
-	if (App.workoutStarted) {
-		endWorkout();
-		const btn = $('startWorkoutBtn');
-		btn.textContent = 'Start';
-		btn.dataset.active = 'false';
-		btn.classList.remove('end');
-		document.body.classList.remove('show-workout');
-	}
+    const rows = [];
 
-	const w = App.workouts[index];
-	if (!w) return;
-	
-	// Re-create cards from history data
-	(w.exercises || []).forEach(ex => {
-		if (ex.type === 'break') addBreak(ex);
-		else addExercise(ex);
-	});
-	
-	App.editIndex = index;
-	$('cancelEditBtn').style.display = 'inline-block';
-	$('workoutTotalTimer').style.display = 'block';
-	$('workoutTotalTimer').textContent = 'Total Time: ' + fmtTime(w.totalTime || 0);
+    App.workouts.forEach((w, wi) => {
+        const date = w.date || w.legacyDate || '';
+        (w.exercises || []).forEach(ex => {
+            if (ex.type === 'break') {
+                rows.push([wi, date, w.totalTime ?? '', 'break', '', '', '', '', '', '', '0', ex.duration ?? '', ex.time ?? '', ex.group || '', '']);
+                return;
+            }
+            if (!ex.sets?.length) {
+                rows.push([wi, date, w.totalTime ?? '', ex.type || '', ex.name || '', 0, '', '', exerciseUnit(ex), '', '0', '', '', ex.group || '', ex.time ?? '']);
+                return;
+            }
+            ex.sets.forEach((set, si) => {
+                rows.push([
+                    wi,
+                    date,
+                    w.totalTime ?? '',
+                    ex.type || '',
+                    ex.name || '',
+                    si + 1,
+                    set.reps ?? '',
+                    Array.isArray(set.weights) ? set.weights.join('|') : (set.weights ?? ''),
+                    exerciseUnit(ex),
+                    set.difficulty ?? '',
+                    set.dropset ? '1' : '0',
+                    '',
+                    set.time ?? '',
+                    ex.group || '',
+                    ex.time ?? ''
+                ]);
+            });
+        });
+    });
 
-	// Restore time displays and break data
-	const cards = Array.from($('workoutListContainer').children);
-	cards.forEach((card, i) => {
-		const original = (w.exercises || [])[i];
-		if (!original) return;
-		
-		const td = ensureTimeCell(card).querySelector('.time-display');
-		if (td) {
-			td.dataset.seconds = parseInt(original.time || 0, 10) || 0;
-			td.textContent = fmtTime(parseInt(original.time || 0, 10) || 0);
-		}
+    // The BOM tells spreadsheet apps the file is UTF-8
+    return '\uFEFF' + [header, ...rows].map(csvRecord).join('');
+}
 
-		if (card.classList.contains('break-card')) {
-			card.dataset.plannedDuration = parseInt(original.duration || 0, 10) || 0;
-			card._timeLeft = parseInt(original.duration || 0, 10) || 0;
-			card._elapsed = parseInt(original.time || 0, 10) || 0;
-		}
-	});
+// Helper function for downloading a backup file locally
+function downloadFile(content, fileName, mimeType) {
+    if (!content) return;
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8;` });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Helper function for downloading CSV locally
+function downloadCSV(csv) {
+    downloadFile(csv, 'workout_history.csv', 'text/csv');
 }
 
 /**
- * Deletes a workout from history.
- * @param {number} index - The index of the workout to delete.
+ * Converts rows of this app's own CSV export into workouts.
+ * @param {Array<string>} headers - The lower-cased column names.
+ * @param {Array<object>} records - The data records, see parseCSV().
+ * @returns {{workouts: Array<object>, skipped: Array<{line: number, reason: string}>}} The workouts (not yet upgraded) and skipped rows.
  */
-function deleteWorkout(index) {
-	showModal('Are you sure you want to delete this workout?', 
-		() => {
-			// OK button pressed
-			App.workouts.splice(index, 1);
-			saveWorkouts();
-			App.settings.historyDirty = true;
-			saveSettings();
-			renderBackupAndDirtyUI();
-			renderHistory();
-			updateExerciseSelector();
-			renderProgress();
-		}, 
-		() => {
-			// Cancel button pressed
-		}
-	);
+function workoutsFromNativeCSV(headers, records) {
+    const idx = {
+        wi: headers.indexOf('workoutindex'),
+        date: headers.indexOf('date'),
+        totalTime: headers.indexOf('totaltime'),
+        type: headers.indexOf('type'),
+        name: headers.indexOf('name'),
+        set: headers.indexOf('set'),
+        reps: headers.indexOf('reps'),
+        weights: headers.indexOf('weights'),
+        unit: headers.indexOf('unit'),
+        diff: headers.indexOf('difficulty'),
+        dropset: headers.indexOf('dropset'),
+        duration: headers.indexOf('duration'),
+        time: headers.indexOf('time'),
+        group: headers.indexOf('group'), // Not in older files
+        exerciseTime: headers.indexOf('exercisetime') // Not in older files
+    };
+    const workouts = [];
+    const skipped = []; // {line, reason} for every row that could not be imported
+    records.forEach(({ fields, line, error }) => {
+        if (error) return skipped.push({ line, reason: error });
+        if (fields.length !== headers.length) {
+            return skipped.push({ line, reason: `has ${fields.length} fields, expected ${headers.length}` });
+        }
+        // Names are kept exactly as written; everything else may be padded
+        const cols = fields.map((c, i) => i === idx.name ? c : c.trim());
+        if (!/^\d+$/.test(cols[idx.wi])) {
+            return skipped.push({ line, reason: `WorkoutIndex "${cols[idx.wi]}" is not a number` });
+        }
+        if (cols[idx.type] !== 'break' && cols[idx.type] !== 'exercise') {
+            return skipped.push({ line, reason: `unknown Type "${cols[idx.type]}"` });
+        }
+        const workoutIndex = parseInt(cols[idx.wi], 10);
+        if (!workouts[workoutIndex]) {
+            workouts[workoutIndex] = { 
+                date: cols[idx.date], 
+                exercises: [], 
+                totalTime: parseInt(cols[idx.totalTime]) || 0 
+            };
+        }
+        const exercises = workouts[workoutIndex].exercises;
+        const group = idx.group >= 0 && cols[idx.group] ? { group: cols[idx.group] } : {};
+        if (cols[idx.type] === 'break') {
+            exercises.push({
+                type: 'break',
+                duration: parseInt(cols[idx.duration]) || 0,
+                time: parseInt(cols[idx.time]) || 0,
+                ...group
+            });
+            return;
+        }
+        const set = {
+            reps: parseInt(cols[idx.reps]) || 0,
+            weights: cols[idx.weights] ? cols[idx.weights].split('|').map(w => parseFloat(w) || 0) : [],
+            dropset: cols[idx.dropset] === '1',
+            difficulty: parseInt(cols[idx.diff]) || 0,
+            time: parseInt(cols[idx.time]) || 0
+        };
+        // Sets after the first continue the previous exercise row, and Set 0
+        // is an exercise without sets (older files have no Set column, so
+        // every row is its own exercise)
+        const setNumber = idx.set < 0 ? 1 : cols[idx.set] === '0' ? 0 : parseInt(cols[idx.set], 10) || 1;
+        // Older files have no ExerciseTime column, so the time is rebuilt from the set times
+        const exerciseTime = idx.exerciseTime >= 0 && cols[idx.exerciseTime] !== '' ? parseInt(cols[idx.exerciseTime]) || 0 : null;
+        const last = exercises[exercises.length - 1];
+        if (setNumber > 1 && last && last.type === 'exercise' && last.name === cols[idx.name]) {
+            last.sets.push(set);
+            if (exerciseTime == null) last.time += set.time;
+        } else {
+            exercises.push({
+                type: 'exercise',
+                name: cols[idx.name],
+                unit: normalizeUnit(cols[idx.unit]) || App.settings.defaultUnit,
+                sets: setNumber === 0 ? [] : [set],
+                time: exerciseTime ?? (setNumber === 0 ? 0 : set.time),
+                ...group
+            });
+        }
+    });
+    return { workouts: workouts.filter(Boolean), skipped };
 }
 
-/** Cancels the editing state and clears the planning area. */
-function cancelEdit() {
-	App.editIndex = null;
-	$('cancelEditBtn').style.display = 'none';
-	$('workoutListContainer').innerHTML = '';
-	$('workoutTotalTimer').style.display = 'none';
-	App.workoutStarted = false;
-	App.workoutSeconds = 0;
+/**
+ * Lists the rows an import skipped, and why, for the confirmation dialog.
+ * @param {Array<{line: number, reason: string}>} skipped - The skipped rows.
+ * @returns {string} The report; long lists are cut short (the full list goes to the console).
+ */
+function describeSkippedRows(skipped) {
+    const MAX_LISTED = 8;
+    const lines = skipped.slice(0, MAX_LISTED).map(r => `Line ${r.line}: ${r.reason}`);
+    if (skipped.length > MAX_LISTED) lines.push(`…and ${skipped.length - MAX_LISTED} more`);
+    return `Skipped ${skipped.length} row${skipped.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
 }
 
-// ==========================================================================
-//  History & UI Rendering
-// ==========================================================================
+function importWorkoutsFromCSV(fileOrData) {
+    // 1. Return a new promise
+    return new Promise((resolve, reject) => {
+        if (!fileOrData) {
+            showModal('No file provided.');
+            return reject(new Error('No file provided.'));
+        }
 
-/** Renders the list of past workouts in the History tab. */
-function renderHistory() {
-	const historyDiv = $('history');
-	historyDiv.innerHTML = '';
+        // 2. Define all parsing logic as a reusable inner function
+        const parse = (records) => {
+            try { // <-- Add try/catch
+                const [headerRecord, ...rows] = records;
+                if (!headerRecord || !rows.length) {
+                    showModal('No valid CSV data found.');
+                    return reject(new Error('No valid CSV data.'));
+                }
 
-	// Show newest first
-	App.workouts.slice().reverse().forEach((workout, i) => {
-		const actualIndex = App.workouts.length - 1 - i;
-		const div = create('div', { class: 'history-entry' });
-		
-		const strong = create('strong', {}, workout.date);
-		const span = create('span', {}, ' Total Time: ' + fmtTime(workout.totalTime || 0));
+                const headers = headerRecord.fields.map(h => h.trim().toLowerCase());
+
+                // Files from this app and other apps are recognized by their
+                // columns; anything else is mapped by the user
+                const format = Object.values(CSV_FORMATS).find(f => f.detect(headers));
+                const converted = format
+                    ? Promise.resolve({ ...format.toWorkouts(headers, rows), source: format.source })
+                    : askColumnMapping(headerRecord.fields, rows).then(mapping => mapping &&
+                        { ...workoutsFromMappedCSV(headers, rows, mapping), source: 'custom columns' });
+
+                converted.then(result => {
+                    if (!result) return resolve(false); // Column mapping was cancelled
+
+                    const { skipped } = result;
+                    const imported = result.workouts.map(upgradeWorkout);
+                    if (skipped.length) console.warn('Skipped CSV rows:', skipped);
+                    if (!imported.length) {
+                        showModal(`No workouts could be imported.\n${describeSkippedRows(skipped)}`);
+                        return reject(new Error('No valid CSV rows.'));
+                    }
 
-		// Edit button
-		const editBtn = create('button', { class: 'edit-btn', textContent: 'Edit' });
-		editBtn.addEventListener('click', () => {
-			editWorkout(actualIndex);
-			// Switch to planning tab
-			document.querySelector('.tab-btn[data-target="main-panel"]').click();
-		});
+                    // 3. The confirmation (replace or merge) now controls the Promise
+                    const summary = `Found ${imported.length} workouts${result.source ? ` (${result.source})` : ''}.` +
+                        (skipped.length ? `\n${describeSkippedRows(skipped)}` : '');
+                    confirmImport({ workouts: imported, summary }).then(resolve);
+                }).catch(err => {
+                    showModal('Failed to import CSV file: ' + err.message);
+                    reject(err);
+                });
+            } catch (err) {
+                showModal('Failed to parse CSV file: ' + err.message);
+                reject(err);
+            }
+        }; // <-- End of parse() function
 
-		// Delete button
-		const delBtn = create('button', { class: 'delete-btn', textContent: 'Delete' });
-		delBtn.addEventListener('click', () => deleteWorkout(actualIndex));
-
-		// Use-as-template button
-		const templateBtn = create('button', { class: 'edit-btn', textContent: 'Use as template' });
-		templateBtn.addEventListener('click', () => {
-			(workout.exercises || []).forEach(ex => {
-				if (ex.type === 'break') addBreak(ex);
-				else addExercise(ex);
+        // 4. Check the type of the input (this logic is outside 'parse')
+        if (typeof fileOrData === 'string') {
+            // It's raw text data from cloud storage
+            parse(parseCSV(fileOrData));
+        } else if (fileOrData instanceof Blob) {
+            // It's a File/Blob from the local input, tokenized as it is read
+            parseCSVFile(fileOrData).then(parse, err => {
+                showModal('Failed to read file.');
+                reject(err);
+            });
+        } else {
+            showModal('Invalid import data type.');
+            reject(new Error('Invalid import data type.'));
+        }
+    }); // <-- End of new Promise
+}
+
+// ==========================================================================
+//  Importers for Other Apps
+// ==========================================================================
+
+/**
+ * CSV layouts the importer recognizes by their header row. Each converts the
+ * data records into workouts; see importWorkoutsFromCSV().
+ */
+const CSV_FORMATS = {
+	native: {
+		source: '',
+		detect: headers => headers.includes('workoutindex') && headers.includes('type'),
+		toWorkouts: workoutsFromNativeCSV
+	},
+	strong: {
+		source: 'Strong export',
+		detect: headers => headers.includes('exercise name') && headers.includes('set order'),
+		toWorkouts: (headers, records) => {
+			const skipped = [];
+			// Older exports have "Weight" in the app's unit, newer ones name the unit
+			const weightCol = headers.find(h => /^weight( \((kg|lbs?)\))?$/.test(h)) || 'weight';
+			const headerUnit = normalizeUnit((weightCol.match(/\((\w+)\)/) || [])[1]);
+			const rows = csvRows(headers, records, skipped).map(v => {
+				const order = (v['set order'] || '').toLowerCase();
+				return {
+					line: v.line,
+					workout: `${v['workout #'] || v.date}|${v['workout name'] || ''}`,
+					date: v.date,
+					// Newer exports have "Duration (sec)", then "Duration"; the oldest ones "Workout Duration" (e.g. "45m")
+					totalTime: parseDuration(v['duration (sec)'] ?? v.duration ?? v['workout duration']),
+					workoutNotes: v['workout notes'],
+					name: v['exercise name'],
+					exerciseNotes: v.notes,
+					reps: v.reps,
+					weight: v[weightCol],
+					unit: headerUnit || v['weight unit'],
+					difficulty: v.rpe,
+					time: parseDuration(v.seconds),
+					kind: order === 'rest timer' ? 'rest' : order === 'd' ? 'drop' : 'set'
+				};
 			});
-			// Switch to Planning tab
-			document.querySelector('.tab-btn[data-target="main-panel"]').click();
-		});
+			return { workouts: workoutsFromSetRows(rows, skipped), skipped };
+		}
+	},
+	hevy: {
+		source: 'Hevy export',
+		detect: headers => headers.includes('exercise_title') && headers.includes('start_time'),
+		toWorkouts: (headers, records) => {
+			const skipped = [];
+			const weightCol = headers.includes('weight_lbs') ? 'weight_lbs' : 'weight_kg';
+			const rows = csvRows(headers, records, skipped).map(v => {
+				const start = Date.parse(parseStoredDate(v.start_time));
+				const end = Date.parse(parseStoredDate(v.end_time));
+				return {
+					line: v.line,
+					workout: `${v.start_time}|${v.title || ''}`,
+					date: v.start_time,
+					totalTime: end > start ? Math.round((end - start) / 1000) : 0,
+					workoutNotes: v.description,
+					name: v.exercise_title,
+					exerciseNotes: v.exercise_notes,
+					reps: v.reps,
+					weight: v[weightCol],
+					unit: weightCol === 'weight_lbs' ? 'lbs' : 'kg',
+					difficulty: v.rpe,
+					time: parseDuration(v.duration_seconds),
+					kind: (v.set_type || '').toLowerCase() === 'dropset' ? 'drop' : 'set'
+				};
+			});
+			return { workouts: workoutsFromSetRows(rows, skipped), skipped };
+		}
+	}
+};
 
-		// Container for exercise cards
-		const exContainer = create('div', { class: 'history-exercise-list' });
+/**
+ * Turns CSV records into objects keyed by (lower-cased) column name, with
+ * trimmed values. Malformed records are added to `skipped` instead.
+ * @param {Array<string>} headers - The lower-cased column names.
+ * @param {Array<object>} records - The data records, see parseCSV().
+ * @param {Array<{line: number, reason: string}>} skipped - Collects the rows left out.
+ * @returns {Array<object>} One object per usable row, with its `line`.
+ */
+function csvRows(headers, records, skipped) {
+	return records.filter(({ fields, line, error }) => {
+		if (error) skipped.push({ line, reason: error });
+		else if (fields.length !== headers.length) skipped.push({ line, reason: `has ${fields.length} fields, expected ${headers.length}` });
+		else return true;
+		return false;
+	}).map(({ fields, line }) => {
+		const row = { line };
+		headers.forEach((h, i) => { row[h] = fields[i].trim(); });
+		return row;
+	});
+}
 
-		(workout.exercises || []).forEach(ex => {
-			const card = create('div', { class: 'history-card' });
-			
-			const timeHtml = `
-				<div class="hist-time">
-					<strong>${fmtTime(ex.time || 0)}</strong>
-					<span>Time</span>
-				</div>`;
-				
-			if (ex.type === 'break') {
-				card.classList.add('break-card');
-				card.innerHTML = `
-					${timeHtml}
-					<div class="hist-details" style="text-align:center; font-style:italic;">
-						Break: ${ex.duration || 0} sec
-					</div>
-				`;
-			} else {
-				card.classList.add('exercise-card');
-				const repsDisplay = ex.reps || 0;
-				const weightsDisplay = ex.dropset 
-					? (Array.isArray(ex.weights) ? ex.weights.join(' → ') : ex.weights) 
-					: (Array.isArray(ex.weights) ? ex.weights[0] : ex.weights);
-				const unit = ex.unit || App.settings.defaultUnit;
-				const difficultyDisplay = (ex.difficulty != null ? ex.difficulty : '—');
-				
-				const statsItems = [];
-				statsItems.push(`<span><strong>Reps:</strong> ${escapeHtml(String(repsDisplay))}</span>`);
-		
-				const allWeightsZero = !ex.weights || !Array.isArray(ex.weights) || ex.weights.every(w => (parseFloat(w) || 0) === 0);
-		
-				if (!allWeightsZero) {
-					statsItems.push(`<span><strong>Weight:</strong> ${escapeHtml(String(weightsDisplay || '0'))} ${escapeHtml(unit)}</span>`);
-				}
-		
-				statsItems.push(`<span><strong>Diff:</strong> ${escapeHtml(String(difficultyDisplay))}/10</span>`);
-				
-				card.innerHTML = `
-					${timeHtml}
-					<div class="hist-details">
-						<strong class="hist-name">${escapeHtml(ex.name || '')}</strong>
-						<div class="hist-stats">
-							${statsItems.join('\n')}
-						</div>
-					</div>
-				`;
-			}
-			exContainer.appendChild(card);
-		});
+/**
+ * Reads a duration written as seconds ("95") or with units ("1h 5m", "45m 10s").
+ * @param {string} value - The duration.
+ * @returns {number} Whole seconds, or 0 if there is none.
+ */
+function parseDuration(value) {
+	const str = String(value || '').trim().toLowerCase();
+	if (/^\d+(\.\d+)?$/.test(str)) return Math.round(parseFloat(str));
+	const units = { h: 3600, m: 60, s: 1 };
+	let secs = 0;
+	str.replace(/(\d+(?:\.\d+)?)\s*([hms])/g, (_, n, u) => { secs += parseFloat(n) * units[u]; });
+	return Math.round(secs);
+}
+
+/**
+ * Builds workouts from one-set-per-row data read out of another app's export.
+ * Consecutive rows of one exercise become its sets; a drop continues the set
+ * before it (dropsets store one weight per rep), and a rest row becomes a break.
+ * @param {Array<object>} rows - {line, workout (grouping key), date, totalTime, workoutNotes,
+ *   name, exerciseNotes, reps, weight, unit, difficulty, time, kind: 'set' | 'drop' | 'rest'}.
+ * @param {Array<{line: number, reason: string}>} skipped - Collects the rows left out.
+ * @returns {Array<object>} The workouts (not yet upgraded).
+ */
+function workoutsFromSetRows(rows, skipped) {
+	const workouts = new Map(); // Grouping key -> workout
+	rows.forEach(r => {
+		const date = parseStoredDate(r.date);
+		if (!date) return skipped.push({ line: r.line, reason: `date "${r.date || ''}" not understood` });
+		if (r.kind !== 'rest' && !r.name) return skipped.push({ line: r.line, reason: 'no exercise name' });
+
+		const key = r.workout || date;
+		if (!workouts.has(key)) {
+			workouts.set(key, { date, totalTime: r.totalTime || 0, exercises: [] });
+			if (r.workoutNotes) workouts.get(key).notes = r.workoutNotes;
+		}
+		const exercises = workouts.get(key).exercises;
+		const time = r.time || 0;
+		if (r.kind === 'rest') {
+			if (time > 0) exercises.push({ type: 'break', duration: time, time });
+			return;
+		}
+
+		let ex = exercises[exercises.length - 1];
+		if (!ex || ex.type !== 'exercise' || ex.name !== r.name) {
+			ex = { type: 'exercise', name: r.name, unit: normalizeUnit(r.unit) || App.settings.defaultUnit, sets: [], time: 0 };
+			exercises.push(ex);
+		}
+		if (r.exerciseNotes && !(ex.notes || '').includes(r.exerciseNotes)) {
+			ex.notes = ex.notes ? `${ex.notes}\n${r.exerciseNotes}` : r.exerciseNotes;
+		}
 
-		div.appendChild(strong);
-		div.appendChild(span);
-		div.appendChild(editBtn);
-		div.appendChild(templateBtn);
-		div.appendChild(delBtn);
-		div.appendChild(exContainer); // Add card container
-		historyDiv.appendChild(div);
+		const weight = parseFloat(r.weight) || 0;
+		const reps = parseInt(r.reps, 10) || 0;
+		const last = ex.sets[ex.sets.length - 1];
+		if (r.kind === 'drop' && last) {
+			if (!last.dropset) {
+				last.weights = Array(last.reps).fill(last.weights[0] || 0);
+				last.dropset = true;
+			}
+			last.weights.push(...Array(reps).fill(weight));
+			last.reps += reps;
+			last.time += time;
+		} else {
+			const difficulty = Math.min(10, Math.max(0, Math.round(parseFloat(r.difficulty) || 0)));
+			ex.sets.push({ reps, weights: [weight], dropset: false, difficulty, time });
+		}
+		ex.time += time;
 	});
+	return [...workouts.values()];
 }
 
-/** Updates the exercise name dropdown in the Progress tab. */
-function updateExerciseSelector() {
-	const select = $('exerciseSelect');
-	if (!select) return;
-	
-	const names = new Set();
-	App.workouts.forEach(w => {
-		(w.exercises || []).forEach(ex => {
-			if (ex.type === 'exercise' && ex.name && ex.name.trim()) {
-				names.add(ex.name.trim());
+// Fields the column-mapping wizard asks for; `guess` patterns are tried in order against the file's column names
+const MAPPING_FIELDS = [
+	{ key: 'date', label: 'Date', required: true, guess: [/date|day/, /time/] },
+	{ key: 'name', label: 'Exercise', required: true, guess: [/exercise|movement|lift/, /name/] },
+	{ key: 'workout', label: 'Workout (groups sets)', guess: [/workout|session|routine|title/] },
+	{ key: 'reps', label: 'Reps', guess: [/rep/] },
+	{ key: 'weight', label: 'Weight', guess: [/weight|load/] },
+	{ key: 'unit', label: 'Unit column', guess: [/unit/] },
+	{ key: 'rpe', label: 'RPE / difficulty', guess: [/rpe|difficulty|effort/] },
+	{ key: 'time', label: 'Set time', guess: [/sec|duration/] },
+	{ key: 'notes', label: 'Notes', guess: [/note|comment/] }
+];
+
+/**
+ * Asks the user which columns of an unrecognized CSV file hold which data,
+ * with a preview of the first row.
+ * @param {Array<string>} columns - The file's column names, as written.
+ * @param {Array<object>} records - The data records, see parseCSV().
+ * @param {object} [initial] - A mapping to start from (when asking again).
+ * @returns {Promise<object|null>} {date, name, ..., fixedUnit} mapping fields to lower-cased
+ *   column names ('' for none), or null if cancelled.
+ */
+function askColumnMapping(columns, records, initial = null) {
+	const headers = columns.map(c => c.trim().toLowerCase());
+	const mapping = initial || { fixedUnit: App.settings.defaultUnit };
+	if (!initial) {
+		const used = new Set();
+		MAPPING_FIELDS.forEach(f => {
+			for (const pattern of f.guess) {
+				const match = headers.find(h => !used.has(h) && pattern.test(h));
+				if (match) {
+					mapping[f.key] = match;
+					used.add(match);
+					break;
+				}
 			}
 		});
+	}
+
+	const form = create('div', { class: 'mapping-form' });
+	const selects = {};
+	MAPPING_FIELDS.forEach(f => {
+		const select = create('select', { 'data-field': f.key },
+			create('option', { value: '', textContent: f.required ? '— choose —' : '— none —' }),
+			...columns.map((c, i) => create('option', { value: headers[i], textContent: c })));
+		select.value = mapping[f.key] || '';
+		selects[f.key] = select;
+		form.appendChild(create('label', {}, f.label + (f.required ? ' *' : ''), select));
 	});
-	
-	const current = select.value || '__all';
-	select.innerHTML = '';
-	
-	const allOpt = create('option', { value: '__all', textContent: 'All exercises' });
-	select.appendChild(allOpt);
-	
-	Array.from(names).sort().forEach(n => {
-		const o = create('option', { value: n, textContent: n });
-		select.appendChild(o);
+	const unitSelect = create('select', {},
+		create('option', { value: 'kg', textContent: 'kg' }),
+		create('option', { value: 'lbs', textContent: 'lbs' }));
+	unitSelect.value = mapping.fixedUnit || App.settings.defaultUnit;
+	form.appendChild(create('label', {}, 'Weights are in (without a unit column)', unitSelect));
+	const preview = create('p', { class: 'mapping-preview' });
+	form.appendChild(preview);
+
+	const read = () => {
+		const m = { fixedUnit: unitSelect.value };
+		MAPPING_FIELDS.forEach(f => { m[f.key] = selects[f.key].value; });
+		return m;
+	};
+	const updatePreview = () => {
+		const { workouts } = workoutsFromMappedCSV(headers, records.slice(0, 1), read());
+		const ex = workouts[0]?.exercises.find(e => e.type === 'exercise');
+		const set = ex?.sets[0];
+		preview.textContent = ex
+			? `First row: ${ex.name} — ${set.reps} × ${set.weights[0]} ${ex.unit}, ${formatWorkoutDate(workouts[0])}`
+			: 'First row: not readable with these columns yet.';
+	};
+	form.addEventListener('change', updatePreview);
+	updatePreview();
+
+	return new Promise(resolve => {
+		showFormModal(
+			'This file isn\'t from a known app. Which columns hold your data?',
+			form,
+			() => {
+				const m = read();
+				const missing = MAPPING_FIELDS.filter(f => f.required && !m[f.key]).map(f => f.label);
+				if (missing.length) {
+					showModal(`Please choose a column for: ${missing.join(', ')}.`,
+						() => askColumnMapping(columns, records, m).then(resolve),
+						() => resolve(null));
+					return;
+				}
+				resolve(m);
+			},
+			() => resolve(null)
+		);
 	});
-	
-	select.value = Array.from(select.querySelectorAll('option')).some(o => o.value === current) ? current : '__all';
+}
+
+/**
+ * Converts rows of an arbitrary CSV file into workouts using a column mapping.
+ * Without a workout column, sets are grouped into one workout per day.
+ * @param {Array<string>} headers - The lower-cased column names.
+ * @param {Array<object>} records - The data records, see parseCSV().
+ * @param {object} mapping - See askColumnMapping().
+ * @returns {{workouts: Array<object>, skipped: Array<{line: number, reason: string}>}} The workouts (not yet upgraded) and skipped rows.
+ */
+function workoutsFromMappedCSV(headers, records, mapping) {
+	const skipped = [];
+	const rows = csvRows(headers, records, skipped).map(v => {
+		const get = key => (mapping[key] ? v[mapping[key]] : '') || '';
+		const date = parseStoredDate(get('date'));
+		return {
+			line: v.line,
+			workout: get('workout') ? `${get('workout')}|${date ? dayKey(new Date(date)) : ''}` : (date ? dayKey(new Date(date)) : ''),
+			date: get('date'),
+			name: get('name'),
+			reps: get('reps'),
+			weight: get('weight'),
+			unit: normalizeUnit(get('unit')) || mapping.fixedUnit,
+			difficulty: get('rpe'),
+			time: parseDuration(get('time')),
+			exerciseNotes: get('notes'),
+			kind: 'set'
+		};
+	});
+	return { workouts: workoutsFromSetRows(rows, skipped), skipped };
 }
 
 // ==========================================================================
-//  Progress Charting (Chart.js)
+//  JSON Backup
 // ==========================================================================
 
+const BACKUP_FORMAT = 'workout-tracker-backup';
+const BACKUP_VERSION = 1; // Version of the file layout; the data inside follows SCHEMA_VERSION
+
+// Settings that describe this device's backup state rather than the user's preferences
+const DEVICE_SETTINGS = ['lastDriveBackup', 'lastBackupOutcome', 'historyDirty'];
+
 /**
- * Gets theme-appropriate colors for chart rendering.
- * @returns {object} An object with {grid, tick, legend} color strings.
+ * Computes a short checksum (32-bit FNV-1a) of a string, to catch truncated or edited backups.
+ * @param {string} text - The text.
+ * @returns {string} The checksum as 8 hex digits.
  */
-function chartColors() {
-	let appearance = App.settings.appearance;
-	if (appearance === 'system') {
-		appearance = MQL_DARK.matches ? 'dark' : 'light';
+function checksum(text) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
 	}
-	return appearance === 'dark' 
-		? { grid: '#334155', tick: '#cbd5e1', legend: '#e5e7eb' } 
-		: { grid: '#ddd', tick: '#333', legend: '#111' };
+	return (hash >>> 0).toString(16).padStart(8, '0');
 }
 
 /**
- * Processes workout history into data arrays for charting.
- * @param {string} selected - The selected exercise name, or '__all'.
- * @returns {object} An object with {labels, difficultyData, weightData, ...} arrays.
+ * Serializes everything the user has (workouts with every field, routines and
+ * settings) into a versioned JSON backup.
+ * @returns {string} The backup file's contents.
  */
-function buildProgressData(selected) {
-	let labels = [], difficultyData = [], weightData = [], durationData = [], breakData = [];
-
-	if (selected === '__all') {
-		// Data for "All exercises"
-		labels = App.workouts.map(w => w.date);
-		difficultyData = App.workouts.map(w => {
-			const exs = (w.exercises || []).filter(e => e.type !== 'break');
-			if (!exs.length) return 0;
-			const total = exs.reduce((sum, ex) => sum + (parseFloat(ex.difficulty || 0) || 0), 0);
-			return total / exs.length;
-		});
-		weightData = App.workouts.map(w => {
-			return (w.exercises || []).filter(e => e.type !== 'break').reduce((sum, ex) => {
-				const weightsArr = Array.isArray(ex.weights) ? ex.weights : [ex.weights];
-				const reps = parseInt(ex.reps || 1, 10) || 1;
-				const volume = weightsArr.reduce((a, b) => a + (parseFloat(b || 0) || 0), 0) * reps;
-				return sum + volume;
-			}, 0);
-		});
-		durationData = App.workouts.map(w => w.totalTime || 0);
-		breakData = App.workouts.map(w => {
-			return (w.exercises || []).filter(e => e.type === 'break').reduce((sum, br) => sum + (parseInt(br.time || br.duration || 0, 10) || 0), 0);
-		});
-	} else {
-		// Data for a specific exercise
-		App.workouts.forEach(w => {
-			const matches = (w.exercises || []).filter(ex => ex.type !== 'break' && ex.name && ex.name.trim() === selected);
-			if (!matches.length) return;
-			
-			labels.push(w.date);
-			
-			const avgDiff = matches.reduce((s, ex) => s + (parseFloat(ex.difficulty || 0) || 0), 0) / matches.length;
-			difficultyData.push(avgDiff);
-			
-			const totalVolume = matches.reduce((s, ex) => {
-				const weightsArr = Array.isArray(ex.weights) ? ex.weights : [ex.weights];
-				const reps = parseInt(ex.reps || 1, 10) || 1;
-				const volume = weightsArr.reduce((a, b) => a + (parseFloat(b || 0) || 0), 0) * reps;
-				return s + volume;
-			}, 0);
-			weightData.push(totalVolume);
-			
-			const duration = matches.reduce((s, ex) => s + (parseInt(ex.time || 0, 10) || 0), 0);
-			durationData.push(duration);
-			
-			let afters = []; // Breaks *after* this exercise
-			const exs = w.exercises || [];
-			for (let i = 0; i < exs.length; i++) {
-				if (exs[i].type === 'exercise' && exs[i].name && exs[i].name.trim() === selected && exs[i + 1] && exs[i + 1].type === 'break') {
-					afters.push(parseInt(exs[i + 1].time || exs[i + 1].duration || 0, 10) || 0);
-				}
-			}
-			breakData.push(afters.length ? (afters.reduce((a, b) => a + b, 0) / afters.length) : 0);
-		});
-	}
-
-	if (!labels.length) {
-		labels = ['No data'];
-		difficultyData = [0];
-		weightData = [0];
-		durationData = [0];
-		breakData = [0];
-	}
-	return { labels, difficultyData, weightData, durationData, breakData };
+function exportBackupJSON() {
+	const settings = { ...App.settings };
+	DEVICE_SETTINGS.forEach(key => delete settings[key]);
+	const data = { workouts: App.workouts, routines: App.routines, exercises: App.customExercises, settings };
+	return JSON.stringify({
+		format: BACKUP_FORMAT,
+		version: BACKUP_VERSION,
+		schemaVersion: SCHEMA_VERSION,
+		exportedAt: new Date().toISOString(),
+		checksum: checksum(JSON.stringify(data)),
+		data
+	});
 }
 
 /**
- * Creates a new chart or updates an existing one.
- * @param {string} chartId - The canvas element ID.
- * @param {string} type - The key for App.charts (e.g., 'difficulty').
- * @param {Array<string>} labels - The X-axis labels.
- * @param {Array<number>} data - The Y-axis data points.
- * @param {string} datasetLabel - The label for the dataset.
+ * Reads and validates a JSON backup, upgrading data written by older versions
+ * of the app. Nothing is changed if it throws.
+ * @param {string} text - The backup file's contents.
+ * @returns {object} {exportedAt, workouts, routines, exercises, settings}.
+ * @throws {Error} Describing why the backup can't be used.
  */
-function createOrUpdateChart(chartId, type, labels, data, datasetLabel) {
-	const canvas = $(chartId);
-	if (!canvas) return;
-	
-	// Don't try to render a chart on a hidden canvas
-	if (canvas.offsetParent === null) {
-		return;
+function parseBackupJSON(text) {
+	let backup;
+	try {
+		backup = JSON.parse(text.replace(/^\uFEFF/, ''));
+	} catch (err) {
+		throw new Error(`Not a valid JSON file (${err.message}).`);
 	}
-	
-	const colors = chartColors();
-	const cfg = {
-		type: 'line',
-		data: {
-			labels,
-			datasets: [{
-				label: datasetLabel,
-				data,
-				borderColor: 'rgb(38,115,255)',
-				backgroundColor: 'rgba(38,115,255,0.1)',
-				fill: true,
-				tension: 0.2,
-				pointRadius: 4
-			}]
-		},
-		options: {
-			responsive: true, 
-			maintainAspectRatio: true,
-			scales: { 
-				x: { display: false, grid: { drawTicks: false, drawBorder: false } }, 
-				y: { grid: { color: colors.grid }, ticks: { color: colors.tick } } 
-			},
-			plugins: { 
-				legend: { labels: { color: colors.legend } }, 
-				tooltip: { callbacks: { title: (ctx) => labels[ctx[0].dataIndex] } } 
-			}
-		}
-	};
-	
-	// Apply specific colors/options
-	if (type === 'weight') { 
-		cfg.data.datasets[0].borderColor = 'rgb(34,197,94)'; 
-		cfg.data.datasets[0].backgroundColor = 'rgba(34,197,94,0.1)'; 
-	} else if (type === 'duration') { 
-		cfg.data.datasets[0].borderColor = 'rgb(255,165,0)'; 
-		cfg.data.datasets[0].backgroundColor = 'rgba(255,165,0,0.1)'; 
-	} else if (type === 'break') { 
-		cfg.data.datasets[0].borderColor = 'rgb(255,44,44)'; 
-		cfg.data.datasets[0].backgroundColor = 'rgba(255,44,44,0.1)'; 
-	} else { // difficulty
-		cfg.options.scales.y.suggestedMin = 0; 
-		cfg.options.scales.y.suggestedMax = 10; 
+	if (!backup || backup.format !== BACKUP_FORMAT || !backup.data || typeof backup.data !== 'object') {
+		throw new Error('This is not a Workout Tracker backup.');
+	}
+	if (!(backup.version <= BACKUP_VERSION) || !(backup.schemaVersion <= SCHEMA_VERSION)) {
+		throw new Error('This backup was made by a newer version of the app. Please update first.');
+	}
+	if (backup.checksum !== checksum(JSON.stringify(backup.data))) {
+		throw new Error('The backup is damaged (checksum mismatch).');
 	}
 
-	// Update existing chart or create new one
-	if (App.charts[type]) {
-		App.charts[type].config.type = cfg.type;
-		App.charts[type].config.data = cfg.data;
-		App.charts[type].options = cfg.options;
-		App.charts[type].update();
-	} else {
-		App.charts[type] = new Chart(canvas.getContext('2d'), cfg);
+	const { workouts = [], routines = [], exercises = [], settings = {} } = backup.data;
+	const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+	if (!Array.isArray(workouts) || !workouts.every(w => isObject(w) && Array.isArray(w.exercises))) {
+		throw new Error('The backup\'s workouts are not in the expected format.');
+	}
+	if (!Array.isArray(routines) || !routines.every(r => isObject(r) && Array.isArray(r.items))) {
+		throw new Error('The backup\'s routines are not in the expected format.');
+	}
+	if (!Array.isArray(exercises) || !exercises.every(e => isObject(e) && e.id && typeof e.name === 'string')) {
+		throw new Error('The backup\'s exercise catalog is not in the expected format.');
+	}
+	if (!isObject(settings)) {
+		throw new Error('The backup\'s settings are not in the expected format.');
+	}
+
+	const data = migrateData({ workouts, routines }, parseInt(backup.schemaVersion, 10) || 0);
+	const validExercise = ex => isObject(ex) && (ex.type === 'break' || Array.isArray(ex.sets));
+	if (!data.workouts.every(w => w.exercises.every(validExercise)) || !data.routines.every(r => r.items.every(validExercise))) {
+		throw new Error('The backup contains exercises that are not in the expected format.');
 	}
+
+	DEVICE_SETTINGS.forEach(key => delete settings[key]);
+	return { exportedAt: backup.exportedAt, workouts: data.workouts, routines: data.routines, exercises, settings };
 }
 
-/** Destroys all Chart.js instances. */
-function destroyCharts() {
-	Object.keys(App.charts).forEach(key => {
-		if (App.charts[key]) {
-			App.charts[key].destroy();
-			App.charts[key] = null;
-		}
+/**
+ * Reads an imported file (or text downloaded from cloud storage) as a string.
+ * @param {File|Blob|string} fileOrData - The file, or its contents.
+ * @returns {Promise<string>} The text.
+ */
+function readImportText(fileOrData) {
+	if (typeof fileOrData === 'string') return Promise.resolve(fileOrData);
+	if (!(fileOrData instanceof Blob)) return Promise.reject(new Error('Invalid import data type.'));
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = e => resolve(e.target.result);
+		reader.onerror = () => reject(new Error('Failed to read file.'));
+		reader.readAsText(fileOrData);
 	});
 }
 
-/** Renders all progress charts. */
-function renderProgress() {
-	// Destroy existing charts to prevent rendering issues
-	destroyCharts();
-	
-	// Re-create charts
-	updateExerciseSelector();
-	const selected = $('exerciseSelect')?.value || '__all';
-	const d = buildProgressData(selected);
-
-	createOrUpdateChart(
-		'difficultyChart', 'difficulty', d.labels, d.difficultyData,
-		selected === '__all' ? 'Avg Difficulty (all exercises)' : `Avg Difficulty — ${selected}`
-	);
-	createOrUpdateChart(
-		'weightChart', 'weight', d.labels, d.weightData,
-		selected === '__all' ? `Total Load (Volume) (${App.settings.defaultUnit})` : `Total Load — ${selected} (${App.settings.defaultUnit})`
-	);
-	createOrUpdateChart(
-		'durationChart', 'duration', d.labels, d.durationData,
-		selected === '__all' ? 'Workout Duration (sec)' : `Duration — ${selected} (sec)`
-	);
-	createOrUpdateChart(
-		'breakChart', 'break', d.labels, d.breakData,
-		selected === '__all' ? 'Total Break Time (sec)' : `Avg Break After — ${selected} (sec)`
-	);
-}
+/**
+ * Restores a JSON backup after confirmation, replacing or merging, see confirmImport().
+ * @param {File|Blob|string} fileOrData - The backup file, or its contents.
+ * @returns {Promise<boolean>} Resolves true once restored, false if cancelled.
+ */
+async function importBackupJSON(fileOrData) {
+	let backup;
+	try {
+		backup = parseBackupJSON(await readImportText(fileOrData));
+	} catch (err) {
+		showModal('Failed to read backup: ' + err.message);
+		throw err;
+	}
 
-/** Attaches a ResizeObserver to charts to handle resizing. */
-function attachPanelResizeObserver() {
-	const canvases = ['difficultyChart', 'weightChart', 'durationChart', 'breakChart'].map(id => $(id)).filter(c => c);
-	if (!canvases.length) return;
-	
-	if (App.panelResizeObserver) App.panelResizeObserver.disconnect();
-	
-	App.panelResizeObserver = new ResizeObserver(() => {
-		Object.values(App.charts).forEach(chart => {
-			if (chart) {
-				try { chart.resize(); } catch (e) { /* ignore */ }
-			}
-		});
+	const when = backup.exportedAt ? ` from ${new Date(backup.exportedAt).toLocaleString()}` : '';
+	return confirmImport({
+		...backup,
+		summary: `Found a backup${when} with ${backup.workouts.length} workouts and ${backup.routines.length} routines.`
 	});
-	
-	canvases.forEach(canvas => App.panelResizeObserver.observe(canvas));
 }
 
 // ==========================================================================
-//  CSV Export / Import
+//  Import (Replace or Merge)
 // ==========================================================================
 
-function exportWorkoutsToCSV() {
-    if (!App.workouts.length) {
-        showModal('No history to export.');
-        return null;
-    }
+/**
+ * Serializes a value with object keys sorted, so equal data always gives equal text.
+ * @param {*} value - The value.
+ * @returns {string} The JSON text.
+ */
+function stableStringify(value) {
+	if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+			.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+	}
+	return JSON.stringify(value) ?? 'null';
+}
 
-    // Each row = one exercise/break from one workout
-    const header = [
-        'WorkoutIndex', 'Date', 'TotalTime',
-        'Type', 'Name', 'Reps', 'Weights', 'Unit', 
-        'Difficulty', 'Dropset', 'Duration', 'Time'
-    ];
+/**
+ * Describes what was logged in a workout, so two copies of one workout can be
+ * recognized. Only what survives a CSV round trip counts: the date and each
+ * set's exercise, reps, weights, unit, difficulty and drop set flag. Timings
+ * are left out, as CSV files from before the ExerciseTime column rebuild
+ * exercise times from the set times.
+ * @param {object} w - The workout.
+ * @returns {string} The fingerprint.
+ */
+const workoutFingerprint = w => stableStringify({
+	date: w.date || w.legacyDate || null,
+	exercises: (w.exercises || []).filter(ex => ex.type !== 'break').map(ex => ({
+		name: ex.name || '',
+		unit: exerciseUnit(ex),
+		sets: (ex.sets || []).map(set => ({
+			reps: set.reps,
+			weights: set.weights,
+			difficulty: set.difficulty,
+			dropset: !!set.dropset
+		}))
+	}))
+});
 
-    const rows = [];
+/**
+ * Works out how imported workouts relate to the current history. A workout
+ * matches by its stable ID or, failing that (e.g. CSV files, which carry no
+ * IDs), by its date. A match with the same contents is identical; one with
+ * different contents is a conflicting version.
+ * @param {Array<object>} incoming - The imported workouts.
+ * @param {Array<object>} history - The current history, see queryWorkouts().
+ * @returns {{added: Array<object>, identical: Array<object>, conflicts: Array<{incoming: object, existing: object}>}}
+ */
+function planMerge(incoming, history) {
+	const byId = new Map(history.map(w => [w.id, w]));
+	const byDate = new Map();
+	const fingerprints = new Set(history.map(workoutFingerprint));
+	history.forEach(w => {
+		const date = w.date || w.legacyDate;
+		if (date && !byDate.has(date)) byDate.set(date, w);
+	});
 
-    App.workouts.forEach((w, wi) => {
-        (w.exercises || []).forEach(ex => {
-            rows.push([
-                wi,
-                `"${w.date}"`,
-                w.totalTime ?? '',
-                ex.type || '',
-                `"${ex.name || ''}"`,
-                ex.reps ?? '',
-                `"${(Array.isArray(ex.weights) ? ex.weights.join('|') : (ex.weights ?? ''))}"`,
-                ex.unit || '',
-                ex.difficulty ?? '',
-                ex.dropset ? '1' : '0',
-                ex.duration ?? '',
-                ex.time ?? ''
-            ]);
-        });
-    });
+	const plan = { added: [], identical: [], conflicts: [] };
+	const seen = new Set(); // Fingerprints already taken from this import, which may contain duplicates itself
+	incoming.forEach(w => {
+		const fingerprint = workoutFingerprint(w);
+		if (fingerprints.has(fingerprint) || seen.has(fingerprint)) {
+			plan.identical.push(w);
+			return;
+		}
+		seen.add(fingerprint);
+		const existing = (w.id && byId.get(w.id)) || byDate.get(w.date || w.legacyDate);
+		if (existing) plan.conflicts.push({ incoming: w, existing });
+		else plan.added.push(w);
+	});
+	return plan;
+}
+
+/**
+ * Merges imported workouts (and routines and catalog exercises) into the current
+ * data. Conflicting versions are kept next to the existing workout and flagged
+ * with `conflictWith` (the existing workout's ID), so the user can pick one in History.
+ * @param {object} plan - See planMerge().
+ * @param {Array<object>} history - The current history, see queryWorkouts().
+ * @param {Array<object>} [routines] - Imported routines; ones not already present are added.
+ * @param {Array<object>} [exercises] - Imported custom exercises; ones not already present are added.
+ * @returns {Promise<boolean>} See putWorkouts(); everything else is changed right away.
+ */
+function applyMerge(plan, history, routines = [], exercises = []) {
+	const routineIds = new Set(App.routines.map(r => r.id));
+	const routineNames = new Set(App.routines.map(r => r.name));
+	routines.filter(r => !routineIds.has(r.id) && !routineNames.has(r.name)).forEach(r => App.routines.push(r));
+
+	const exerciseIds = new Set(App.customExercises.map(e => e.id));
+	exercises.filter(e => !exerciseIds.has(e.id) && !matchCatalogExercise(e.name)).forEach(e => App.customExercises.push(e));
+	refreshCatalog(); // Records group exercises by catalog name
+
+	const ids = new Set(history.map(w => w.id));
+	plan.conflicts.forEach(({ incoming, existing }) => {
+		incoming.conflictWith = existing.id;
+	});
+	const additions = [...plan.added, ...plan.conflicts.map(c => c.incoming)];
+	additions.forEach(w => {
+		if (!w.id || ids.has(w.id)) w.id = makeId('w');
+		ids.add(w.id);
+	});
+	// Added in date order, as the charts and records expect
+	return putWorkouts(additions);
+}
+
+/**
+ * Asks the user to confirm an import and applies it, replacing or merging
+ * according to the Import Mode setting. Shared by file import and cloud restore.
+ * @param {object} incoming - {workouts, routines, exercises, settings, summary}; routines,
+ *   exercises and settings are only present in JSON backups, summary describes what was found.
+ * @returns {Promise<boolean>} Resolves true once applied, false if cancelled.
+ */
+async function confirmImport({ workouts, routines = null, exercises = null, settings = null, summary }) {
+	const history = await queryWorkouts();
+	const refresh = message => {
+		saveRoutines();
+		saveCustomExercises();
+		saveSettings();
+		renderSettings();
+		applyAppearance();
+		renderBackupAndDirtyUI();
+		renderRoutineSelect();
+		renderHistory();
+		renderProgress();
+		showModal(message);
+	};
+
+	return new Promise(resolve => {
+		if (App.settings.importMode === 'replace') {
+			const what = routines ? 'history, routines and settings' : 'history';
+			showModal(
+				`${summary}\nImporting will overwrite your current ${what}. Continue?`,
+				() => {
+					const before = snapshotData();
+					if (routines) App.routines = routines;
+					if (exercises) App.customExercises = exercises;
+					if (settings) Object.assign(App.settings, settings);
+					// The imported data is canonical, so there is nothing new to back up
+					App.settings.historyDirty = false;
+					refreshCatalog(); // Records group exercises by catalog name
+					putWorkouts(workouts, { replace: true });
+					refresh('Import complete.');
+					recordDataChange('Import applied', before);
+					resolve(true);
+				},
+				() => resolve(false)
+			);
+			return;
+		}
 
-    const csv = [header.join(','), ...rows.map(r => r.join(','))].join('\n');
-    return csv; // Just return the CSV string
+		const plan = planMerge(workouts, history);
+		const conflicts = plan.conflicts.length;
+		const preview = `${plan.added.length} new, ${plan.identical.length} identical, ` +
+			`${conflicts} conflict${conflicts === 1 ? '' : 's'}.`;
+		if (!plan.added.length && !conflicts) {
+			showModal(`${summary}\n${preview}\nYour history already has all of these workouts.`);
+			resolve(false);
+			return;
+		}
+		showModal(
+			`${summary}\nMerge preview: ${preview}` +
+			(conflicts ? '\nConflicting versions are kept side by side and marked in History.' : '') +
+			(settings ? '\nYour current settings are kept.' : '') +
+			'\nMerge them into your history?',
+			() => {
+				const before = snapshotData();
+				applyMerge(plan, history, routines || [], exercises || []);
+				markHistoryDirty();
+				refresh(`Merged ${plan.added.length + conflicts} workouts.`);
+				recordDataChange('Import merged', before);
+				resolve(true);
+			},
+			() => resolve(false)
+		);
+	});
+}
+
+/**
+ * Imports a backup file of either format, telling them apart by their contents.
+ * @param {File|Blob|string} fileOrData - The file, or its contents.
+ * @returns {Promise<boolean>} Resolves true once imported, false if cancelled.
+ */
+async function importBackupFile(fileOrData) {
+	let head;
+	try {
+		// The start is enough to tell the formats apart; a CSV file is then read as a stream
+		head = await readImportText(fileOrData instanceof Blob ? fileOrData.slice(0, 64) : fileOrData);
+	} catch (err) {
+		showModal(err.message);
+		throw err;
+	}
+	return /^\uFEFF?\s*\{/.test(head) ? importBackupJSON(fileOrData) : importWorkoutsFromCSV(fileOrData);
 }
 
-// Helper function for downloading CSV locally
-function downloadCSV(csv) {
-    if (!csv) return;
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = 'workout_history.csv';
-    link.click();
-    URL.revokeObjectURL(link.href);
+/**
+ * Exports a backup in the format chosen in Settings.
+ * @returns {{content: string, fileName: string, mimeType: string}|null} The file, or null if there's nothing to export.
+ */
+function exportBackup() {
+	const date = new Date().toISOString().split('T')[0];
+	if (App.settings.backupFormat === 'csv') {
+		const csv = exportWorkoutsToCSV();
+		return csv ? { content: csv, fileName: `workout_backup_${date}.csv`, mimeType: 'text/csv' } : null;
+	}
+	return { content: exportBackupJSON(), fileName: `workout_backup_${date}.json`, mimeType: 'application/json' };
 }
 
-function importWorkoutsFromCSV(fileOrData) {
-    // 1. Return a new promise
-    return new Promise((resolve, reject) => {
-        if (!fileOrData) {
-            showModal('No file provided.');
-            return reject(new Error('No file provided.'));
-        }
+// ==========================================================================
+//  Offline App
+// ==========================================================================
 
-        // 2. Define all parsing logic as a reusable inner function
-        const parse = (text) => {
-            try { // <-- Add try/catch
-                const lines = text.split(/\r?\n/).filter(l => l.trim());
-                if (lines.length <= 1) {
-                    showModal('No valid CSV data found.');
-                    return reject(new Error('No valid CSV data.'));
-                }
+/**
+ * Registers the service worker (sw.js) that keeps the app working offline,
+ * and shows a banner offering to reload when a new version has been cached.
+ * Reloading is safe mid-workout, the session checkpoint restores it.
+ */
+function registerServiceWorker() {
+	if (!('serviceWorker' in navigator)) return;
 
-                // [All your existing parsing logic]
-                const [headerLine, ...rows] = lines;
-                const headers = headerLine.split(',').map(h => h.replace(/"/g, '').trim().toLowerCase());
-                const idx = {
-                    wi: headers.indexOf('workoutindex'),
-                    date: headers.indexOf('date'),
-                    totalTime: headers.indexOf('totaltime'),
-                    type: headers.indexOf('type'),
-                    name: headers.indexOf('name'),
-                    reps: headers.indexOf('reps'),
-                    weights: headers.indexOf('weights'),
-                    unit: headers.indexOf('unit'),
-                    diff: headers.indexOf('difficulty'),
-                    dropset: headers.indexOf('dropset'),
-                    duration: headers.indexOf('duration'),
-                    time: headers.indexOf('time')
-                };
-                if (idx.wi < 0 || idx.type < 0) {
-                    showModal('Invalid CSV format. Missing WorkoutIndex or Type columns.');
-                    return reject(new Error('Invalid CSV format.'));
-                }
-                const workouts = [];
-                rows.forEach(line => {
-                    const cols = line.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(c => c.replace(/^"|"$/g, '').trim());
-                    if (cols.length < headers.length) return;
-                    const workoutIndex = parseInt(cols[idx.wi], 10) || 0;
-                    if (!workouts[workoutIndex]) {
-                        workouts[workoutIndex] = { 
-                            date: cols[idx.date], 
-                            exercises: [], 
-                            totalTime: parseInt(cols[idx.totalTime]) || 0 
-                        };
-                    }
-                    workouts[workoutIndex].exercises.push({
-                        type: cols[idx.type],
-                        name: cols[idx.name],
-                        reps: parseInt(cols[idx.reps]) || 0,
-                        weights: cols[idx.weights] ? cols[idx.weights].split('|').map(w => parseFloat(w) || 0) : [],
-                        unit: cols[idx.unit],
-                        difficulty: parseInt(cols[idx.diff]) || 0,
-                        dropset: cols[idx.dropset] === '1',
-                        duration: parseInt(cols[idx.duration]) || 0,
-                        time: parseInt(cols[idx.time]) || 0
-                    });
-                });
-                const imported = workouts.filter(Boolean);
-                // [End of your existing parsing logic]
-
-                // 3. This modal now controls the Promise
-                showModal(
-                    `Found ${imported.length} workouts. Importing will overwrite your current history. Continue?`,
-                    () => { // onConfirm
-                        App.workouts = imported;
-                        saveWorkouts();
-                        // mark the imported data as clean (canonical) — adjust if different semantics needed
-                        App.settings.historyDirty = false;
-                        saveSettings();
-                        renderBackupAndDirtyUI();
-                        renderHistory();
-                        updateExerciseSelector();
-                        renderProgress();
-                        showModal('Import complete.'); // <-- This is now the final modal
-                        resolve(true); // <-- Resolve promise on success
-                    },
-                    () => { // onCancel
-                        // User cancelled
-                        resolve(false); // <-- Resolve (as false) on cancel
-                    }
-                );
-            } catch (err) {
-                showModal('Failed to parse CSV file: ' + err.message);
-                reject(err);
-            }
-        }; // <-- End of parse() function
+	const offerUpdate = worker => {
+		$('updateReloadBtn').onclick = () => worker.postMessage('skipWaiting');
+		$('updateBanner').style.display = 'flex';
+	};
 
-        // 4. Check the type of the input (this logic is outside 'parse')
-        if (typeof fileOrData === 'string') {
-            // It's raw text data from Google Drive
-            parse(fileOrData);
-        } else if (fileOrData instanceof Blob) {
-            // It's a File/Blob from the local input
-            const reader = new FileReader();
-            reader.onload = e => {
-                parse(e.target.result);
-            };
-            reader.onerror = () => {
-                showModal('Failed to read file.');
-                reject(new Error('FileReader error.'));
-            };
-            reader.readAsText(fileOrData);
-        } else {
-            showModal('Invalid import data type.');
-            reject(new Error('Invalid import data type.'));
-        }
-    }); // <-- End of new Promise
+	navigator.serviceWorker.register('sw.js').then(registration => {
+		if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+		registration.addEventListener('updatefound', () => {
+			const worker = registration.installing;
+			worker.addEventListener('statechange', () => {
+				// Without a controller this is the first install, not an update
+				if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+			});
+		});
+		// An installed app may stay open for days; look for updates when it comes back
+		document.addEventListener('visibilitychange', () => {
+			if (document.visibilityState === 'visible' && navigator.onLine) registration.update().catch(() => {});
+		});
+	}).catch(err => console.error('Service worker registration failed:', err));
+
+	// The new version took over, reload into it
+	let reloading = false;
+	navigator.serviceWorker.addEventListener('controllerchange', () => {
+		if (reloading) return;
+		reloading = true;
+		window.location.reload();
+	});
+}
+
+/**
+ * Loads and initializes the Google API scripts if that failed, e.g. because
+ * the app was started offline.
+ */
+function loadGoogleScripts() {
+	const load = (src, onload) => document.body.appendChild(create('script', { src, async: true, onload }));
+	if (typeof gapi === 'undefined') load('https://apis.google.com/js/api.js', gapiLoaded);
+	else if (!gapiInited) gapiLoaded(); // Loaded, but the discovery doc couldn't be fetched
+	if (typeof google === 'undefined') load('https://accounts.google.com/gsi/client', gisLoaded);
+	else if (!gisInited) gisLoaded();
 }
 
 // ==========================================================================
 //  Initialization & Event Listeners
 // ==========================================================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
 	
+	// --- 0. Load the workouts, upgrade stored data to the current schema, then move legacy history to IndexedDB ---
+	await openWorkoutStore();
+	runMigrations();
+	await moveLegacyWorkouts();
+
 	// --- 1. Apply theme immediately ---
 	applyAppearance();
 
 	// --- 2. Wire up Settings Panel ---
-	$('defaultUnit').value = App.settings.defaultUnit || 'kg';
-	$('appearance').value = App.settings.appearance || 'light';
+	if ('webdavPassword' in App.settings) {
+		// Older versions stored the WebDAV password with the settings
+		setWebdavPassword(App.settings.webdavPassword || '');
+		delete App.settings.webdavPassword;
+		saveSettings();
+	}
+	renderSettings();
 	
 	$('defaultUnit').addEventListener('change', () => {
 		App.settings.defaultUnit = $('defaultUnit').value;
 		saveSettings();
-		renderProgress(); // Redraw charts with new unit label
+		renderProgress(); // Charts are always drawn in the default unit
+		offerHistoryUnitConversion(App.settings.defaultUnit);
+	});
+
+	$('historyUnits').addEventListener('change', () => {
+		App.settings.historyUnits = $('historyUnits').value;
+		saveSettings();
+		renderHistory();
+	});
+
+	$('backupFormat').addEventListener('change', () => {
+		App.settings.backupFormat = $('backupFormat').value;
+		saveSettings();
+	});
+
+	$('importMode').addEventListener('change', () => {
+		App.settings.importMode = $('importMode').value;
+		saveSettings();
+	});
+
+	$('storageProvider').addEventListener('change', () => {
+		App.settings.storageProvider = $('storageProvider').value;
+		saveSettings();
+		renderStorageProviderUI();
+		startAutoBackup();
+	});
+
+	['webdavUrl', 'webdavUser'].forEach(id => {
+		$(id).addEventListener('change', () => {
+			App.settings[id] = $(id).value.trim();
+			saveSettings();
+			renderStorageProviderUI();
+			startAutoBackup();
+		});
+	});
+	$('webdavPassword').addEventListener('change', () => {
+		setWebdavPassword($('webdavPassword').value);
+		renderStorageProviderUI();
+		startAutoBackup();
+	});
+
+	$('autoBackup').addEventListener('change', () => {
+		App.settings.autoBackup = $('autoBackup').value;
+		saveSettings();
+		startAutoBackup();
+	});
+
+	['daily', 'weekly', 'monthly'].forEach(period => {
+		const input = $(`keep${period[0].toUpperCase()}${period.slice(1)}`);
+		input.addEventListener('change', () => {
+			App.settings.retention = { ...App.settings.retention, [period]: Math.max(0, parseInt(input.value, 10) || 0) };
+			input.value = App.settings.retention[period];
+			saveSettings();
+		});
 	});
 	
 	$('appearance').addEventListener('change', () => {
@@ -1612,6 +6189,21 @@ document.addEventListener('DOMContentLoaded', () => {
 		renderProgress(); // Re-render charts for new theme
 	});
 
+	$('e1rmFormula').addEventListener('change', () => {
+		App.settings.e1rmFormula = $('e1rmFormula').value;
+		saveSettings();
+		recomputeRecords(); // e1RM records depend on the formula
+		saveWorkouts();
+		renderHistory(); // History shows e1RM per exercise
+		renderProgress();
+	});
+
+	$('hardSetRpe').addEventListener('change', () => {
+		App.settings.hardSetRpe = parseInt($('hardSetRpe').value, 10) || 0;
+		saveSettings();
+		renderProgress();
+	});
+
 	// Listen for system theme changes
 	MQL_DARK.addEventListener('change', () => {
 		if (App.settings.appearance === 'system') {
@@ -1621,46 +6213,86 @@ document.addEventListener('DOMContentLoaded', () => {
 	});
 	
 	// Import/Export buttons
-	$('exportCSVBtn').addEventListener('click', () => downloadCSV(exportWorkoutsToCSV()));
+	$('exportCSVBtn').addEventListener('click', () => {
+		const backup = exportBackup();
+		if (backup) downloadFile(backup.content, backup.fileName, backup.mimeType);
+	});
 	$('importCSVBtn').addEventListener('click', () => $('importFileInput').click());
 	$('importFileInput').addEventListener('change', e => {
 		const file = e.target.files[0];
-		if (file) importWorkoutsFromCSV(file);
+		if (file) importBackupFile(file).catch(err => console.error('Import failed:', err));
 		e.target.value = ''; // Reset input
 	});
 
 	// --- 3. Wire up Main Planning Buttons ---
-	$('addExerciseBtn').addEventListener('click', () => addExercise());
-	$('addBreakBtn').addEventListener('click', () => addBreak());
+	$('addExerciseBtn').addEventListener('click', () => recordPlanCardAdded(addExercise(), 'Exercise added'));
+	$('addBreakBtn').addEventListener('click', () => recordPlanCardAdded(addBreak(), 'Break added'));
+	$('undoBtn').addEventListener('click', undoCommand);
+	$('redoBtn').addEventListener('click', redoCommand);
+	watchPlanEdits();
+	watchGroups();
+	document.addEventListener('keydown', e => {
+		// Text fields keep the browser's own undo
+		if (!(e.ctrlKey || e.metaKey) || e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+		const key = e.key.toLowerCase();
+		if (key === 'z' && !e.shiftKey) undoCommand();
+		else if (key === 'y' || (key === 'z' && e.shiftKey)) redoCommand();
+		else return;
+		e.preventDefault();
+	});
 	$('saveWorkoutBtn').addEventListener('click', saveWorkout);
 	$('startWorkoutBtn').addEventListener('click', startWorkout);
 	$('cancelEditBtn').addEventListener('click', cancelEdit);
 
-	// --- 4. Wire up Progress Filters ---
+	// Routine library
+	$('routineSelect').addEventListener('change', updateRoutineButtons);
+	$('loadRoutineBtn').addEventListener('click', () => loadRoutine($('routineSelect').value));
+	$('renameRoutineBtn').addEventListener('click', () => renameRoutine($('routineSelect').value));
+	$('duplicateRoutineBtn').addEventListener('click', () => duplicateRoutine($('routineSelect').value));
+	$('deleteRoutineBtn').addEventListener('click', () => deleteRoutine($('routineSelect').value));
+	$('saveRoutineBtn').addEventListener('click', saveCurrentPlanAsRoutine);
+
+	// Exercise catalog
+	$('addCustomExerciseBtn').addEventListener('click', () => editCustomExercise());
+	$('manageExercisesBtn').addEventListener('click', () => manageExerciseNames());
+
+	// --- 4. Wire up Progress and History Filters ---
 	$('exerciseSelect').addEventListener('change', renderProgress);
+	wireMuscleVolume();
+	wireHistoryFilters();
+	wireCalendar();
 	
 	// --- 5. Wire up Modal Buttons ---
+	// Hide before running the callback, so a callback can open a follow-up modal
 	$('modalConfirmBtn').addEventListener('click', () => {
-		if (App.modal.onConfirm) {
-			App.modal.onConfirm();
-		}
+		const onConfirm = App.modal.onConfirm;
+		const value = $('modalInput').value.trim();
 		hideModal();
+		if (onConfirm) {
+			onConfirm(value);
+		}
 	});
 	
 	$('modalCancelBtn').addEventListener('click', () => {
-		if (App.modal.onCancel) {
-			App.modal.onCancel();
-		}
+		const onCancel = App.modal.onCancel;
 		hideModal();
+		if (onCancel) {
+			onCancel();
+		}
+	});
+	
+	$('modalInput').addEventListener('keydown', e => {
+		if (e.key === 'Enter') $('modalConfirmBtn').click();
 	});
 	
 	// Click on overlay to close modal (like a cancel)
 	$('modalOverlay').addEventListener('click', (e) => {
 		if (e.target === $('modalOverlay')) {
-			if (App.modal.onCancel) {
-				App.modal.onCancel();
-			}
+			const onCancel = App.modal.onCancel;
 			hideModal();
+			if (onCancel) {
+				onCancel();
+			}
 		}
 	});
 
@@ -1688,7 +6320,7 @@ document.addEventListener('DOMContentLoaded', () => {
 			
 			if (btn.dataset.target === 'main-panel') {
 				if (topControls) topControls.style.display = 'block';
-				if (mainContainer) mainContainer.style.paddingTop = '140px';
+				if (mainContainer) mainContainer.style.paddingTop = '196px';
 			} else {
 				if (topControls) topControls.style.display = 'none';
 				if (mainContainer) mainContainer.style.paddingTop = '20px'; // Set smaller padding
@@ -1706,13 +6338,36 @@ document.addEventListener('DOMContentLoaded', () => {
 	});
 
 	// --- 7. Initial Render ---
+	renderRoutineSelect();
+	refreshCatalog();
 	renderHistory();
 	updateExerciseSelector();
 	renderBackupAndDirtyUI();
+	renderStorageProviderUI();
 	// Note: Progress charts are now rendered only when the tab is clicked.
 	
 	// --- 8. Attach Observers ---
 	attachPanelResizeObserver();
+
+	// Intervals may have been frozen in the background; catch the displays up at once
+	document.addEventListener('visibilitychange', () => {
+		if (document.visibilityState === 'visible') refreshTimers();
+	});
+
+	// Uploads missed while offline go out as soon as the connection is back
+	window.addEventListener('online', () => {
+		loadGoogleScripts();
+		renderStorageProviderUI();
+		scheduleAutoBackup(0);
+	});
+	window.addEventListener('offline', renderStorageProviderUI);
+	startAutoBackup();
+
+	// --- 9. Work offline and offer updates ---
+	registerServiceWorker();
+
+	// --- 10. Report storage problems, then recover an unfinished session ---
+	reportWorkoutStoreError(() => reportStorageRecovery(offerSessionRestore));
 });
 
 // ==========================================================================
@@ -1771,7 +6426,7 @@ function gisLoaded() {
  */
 function maybeEnableButtons() {
 	if (gapiInited && gisInited) {
-		document.getElementById('authorize_button').style.display = '';
+		renderStorageProviderUI();
 	}
 }
 /**
@@ -1782,10 +6437,10 @@ function handleAuthClick() {
 		if (resp.error !== undefined) {
 			throw (resp);
 		}
-		document.getElementById('signout_button').style.display = '';
-		document.getElementById('backup_button').style.display = '';
-		document.getElementById('restore_button').style.display = '';
+		renderStorageProviderUI();
 		document.getElementById('authorize_button').innerText = 'Refresh';
+		// Changes made while signed out are still waiting for a backup
+		scheduleAutoBackup(0);
 	};
 	if (gapi.client.getToken() === null) {
 		// Prompt the user to select a Google Account and ask for consent to share their data
@@ -1805,9 +6460,7 @@ function handleSignoutClick() {
 		google.accounts.oauth2.revoke(token.access_token);
 		gapi.client.setToken('');
 		document.getElementById('authorize_button').innerText = 'Authorize';
-		document.getElementById('signout_button').style.display = 'none';
-		document.getElementById('backup_button').style.display = 'none'; // <-- ADD THIS
-		document.getElementById('restore_button').style.display = 'none'; // <-- ADD THIS
+		renderStorageProviderUI();
 	}
 }
 
@@ -1848,19 +6501,24 @@ async function ensureBackupFolder() {
 }
 
 /**
- * Uploads a CSV file into the backup folder.
- * @param {string} csvData - The CSV string to upload.
- * @param {string} fileName - The name of the file, e.g. 'backup_2025-11-09.csv'.
+ * Uploads a backup file into the backup folder.
+ * @param {string} content - The file contents to upload.
+ * @param {string} fileName - The name of the file, e.g. 'backup_2025-11-09.json'.
+ * @param {string} [mimeType='text/csv'] - The file type.
+ * @returns {Promise<string>} The ID of the uploaded file.
+ * @throws {Error} If Drive refuses the upload.
  */
-async function uploadCSVToDrive(csvData, fileName) {
+async function uploadBackupToDrive(content, fileName, mimeType = 'text/csv') {
 	const folderId = await ensureBackupFolder();
 
 	const fileMetadata = {
 		name: fileName,
 		parents: [folderId],
+		// Lets the backup browser show what's inside without downloading it
+		appProperties: { workoutCount: String(App.workouts.length) },
 	};
 
-	const file = new Blob([csvData], { type: "text/csv" });
+	const file = new Blob([content], { type: mimeType });
 	const form = new FormData();
 	form.append(
 		"metadata",
@@ -1878,60 +6536,43 @@ async function uploadCSVToDrive(csvData, fileName) {
 		}
 	);
 
+	if (!response.ok) {
+		throw Object.assign(new Error(`Upload failed: ${response.status} ${response.statusText}`), { status: response.status });
+	}
+
 	const result = await response.json();
+	if (!result.id) throw new Error('Upload failed: Drive did not return the new file.');
 	console.log("File uploaded:", result);
 	return result.id;
 }
 
-/**
- * Called when user clicks "Backup to Drive".
- * Grabs your exported CSV and uploads it.
- */
-async function handleBackups() {
-	try {
-		const csv = exportWorkoutsToCSV(); // <-- Uses your existing CSV export logic
-		const fileName = `workout_backup_${new Date()
-		.toISOString()
-		.split("T")[0]}.csv`;
-
-		await uploadCSVToDrive(csv, fileName);
-		App.settings.lastDriveBackup = new Date().toISOString();
-		App.settings.historyDirty = false;
-		saveSettings();
-		renderBackupAndDirtyUI();
-		showModal("Backup successful! Check your Google Drive folder.");
-	} catch (err) {
-		console.error("Backup failed:", err);
-		showModal("Backup failed. Check console for details.");
-	}
-}
-
 // ==========================================================================
 //  Google Drive Restore Helpers
 // ==========================================================================
 
 /**
- * Finds the most recent CSV backup file in the backup folder.
- * Returns its file ID, or null if none found.
+ * Lists every backup file (JSON or CSV) in the backup folder, newest first.
+ * @returns {Promise<Array<object>>} The files ({id, name, size, createdTime, modifiedTime, appProperties}).
  */
-async function findLatestBackupFile() {
+async function listBackupFiles() {
   const folderId = await ensureBackupFolder();
 
-  const response = await gapi.client.drive.files.list({
-    q: `'${folderId}' in parents and mimeType='text/csv' and trashed=false`,
-    orderBy: 'modifiedTime desc',
-    fields: 'files(id, name, modifiedTime)',
-    spaces: 'drive',
-    pageSize: 1, // only get the newest one
-  });
-
-  const files = response.result.files || [];
-  if (files.length === 0) {
-    throw new Error('No backup files found in Google Drive.');
-  }
+  const files = [];
+  let pageToken;
+  do {
+    const response = await gapi.client.drive.files.list({
+      q: `'${folderId}' in parents and (mimeType='text/csv' or mimeType='application/json') and trashed=false`,
+      orderBy: 'createdTime desc',
+      fields: 'nextPageToken, files(id, name, size, createdTime, modifiedTime, appProperties)',
+      spaces: 'drive',
+      pageSize: 100,
+      pageToken,
+    });
+    files.push(...(response.result.files || []));
+    pageToken = response.result.nextPageToken;
+  } while (pageToken);
 
-  console.log('Latest backup file:', files[0]);
-  return files[0];
+  return files;
 }
 
 /**
@@ -1953,29 +6594,411 @@ async function downloadFileContent(fileId) {
   return await response.text();
 }
 
+// ==========================================================================
+//  WebDAV Storage
+// ==========================================================================
+
+/**
+ * Sets the WebDAV password. Unlike the other settings it isn't kept in
+ * localStorage, where it would stay on the device in plain text, but in
+ * sessionStorage: it's asked for again once the app is closed.
+ * @param {string} password - The password, or '' for none.
+ */
+function setWebdavPassword(password) {
+	App.webdavPassword = password;
+	if (password) sessionStorage.setItem(STORAGE_PASSWORD_KEY, password);
+	else sessionStorage.removeItem(STORAGE_PASSWORD_KEY);
+}
+
+/**
+ * Sends a request to the WebDAV folder set in Settings (App.settings.webdavUrl),
+ * e.g. a Nextcloud folder or a home server.
+ * @param {string} method - The HTTP or WebDAV method.
+ * @param {string} [name=''] - A file in the folder, or '' for the folder itself.
+ * @param {object} [init={}] - Further fetch() options (headers, body).
+ * @returns {Promise<Response>} The response.
+ * @throws {Error} If no URL is set or the server answers with an error; its status is kept on the error.
+ */
+async function webdavRequest(method, name = '', init = {}) {
+	const folder = (App.settings.webdavUrl || '').trim().replace(/\/*$/, '/');
+	if (folder === '/') throw new Error('No server URL set in Settings.');
+
+	const headers = { ...init.headers };
+	if (App.settings.webdavUser) {
+		// btoa() only takes Latin-1, so encode the credentials as UTF-8 first
+		const credentials = new TextEncoder().encode(`${App.settings.webdavUser}:${App.webdavPassword}`);
+		headers.Authorization = 'Basic ' + btoa(String.fromCharCode(...credentials));
+	}
+	const response = await fetch(folder + encodeURIComponent(name), { ...init, method, headers });
+	if (!response.ok) {
+		throw Object.assign(new Error(`${method} failed: ${response.status} ${response.statusText}`), { status: response.status });
+	}
+	return response;
+}
+
+/**
+ * Lists every backup file (JSON or CSV) in the WebDAV folder, newest first.
+ * @returns {Promise<Array<object>>} The files ({id, name, size, createdTime}).
+ */
+async function listWebdavBackups() {
+	const response = await webdavRequest('PROPFIND', '', {
+		headers: { Depth: '1', 'Content-Type': 'application/xml' },
+		body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop>' +
+			'<d:getcontentlength/><d:getlastmodified/><d:creationdate/></d:prop></d:propfind>'
+	});
+	const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+	const prop = (el, name) => el.getElementsByTagNameNS('DAV:', name)[0]?.textContent || '';
+
+	return [...xml.getElementsByTagNameNS('DAV:', 'response')]
+		.map(el => {
+			const name = decodeURIComponent(prop(el, 'href').replace(/\/$/, '').split('/').pop());
+			// Most servers don't report a creation date, only the last change
+			const created = new Date(prop(el, 'creationdate') || prop(el, 'getlastmodified'));
+			return { id: name, name, size: prop(el, 'getcontentlength'), createdTime: isNaN(created) ? null : created.toISOString() };
+		})
+		.filter(file => /\.(json|csv)$/i.test(file.name) && file.createdTime)
+		.sort((a, b) => b.createdTime.localeCompare(a.createdTime));
+}
+
 /**
- * Handles restoring backup from Google Drive.
- * - Finds the newest backup CSV
- * - Downloads it
- * - Imports it into your app
+ * Uploads a backup file into the WebDAV folder, creating the folder if missing.
+ * @param {string} content - The file contents to upload.
+ * @param {string} fileName - The name of the file.
+ * @param {string} mimeType - The file type.
  */
-async function handleRestoreFromDrive() {
-  try {
-    showModal('Restoring from Google Drive...');
-    const latest = await findLatestBackupFile();
-    const csvData = await downloadFileContent(latest.id);
+async function uploadWebdavBackup(content, fileName, mimeType) {
+	const put = () => webdavRequest('PUT', fileName, { headers: { 'Content-Type': mimeType }, body: content });
+	try {
+		await put();
+	} catch (err) {
+		// 404 or 409 Conflict: the folder doesn't exist yet
+		if (err.status !== 404 && err.status !== 409) throw err;
+		await webdavRequest('MKCOL');
+		await put();
+	}
+}
+
+// ==========================================================================
+//  Backup Storage Providers
+// ==========================================================================
+
+// Where backups are kept, chosen in Settings. Each provider lists, uploads,
+// downloads and removes backup files ({id, name, size, createdTime, workoutCount?}).
+const STORAGE_PROVIDERS = {
+	drive: {
+		label: 'Google Drive',
+		isReady: () => typeof gapi !== 'undefined' && !!gapi.client?.getToken?.(),
+		notReadyMessage: 'Waiting for Google sign-in',
+		list: async () => (await listBackupFiles()).map(file => ({ ...file, workoutCount: file.appProperties?.workoutCount })),
+		upload: (content, fileName, mimeType) => uploadBackupToDrive(content, fileName, mimeType),
+		download: file => downloadFileContent(file.id),
+		// Trashed rather than deleted, so they can still be recovered for a while
+		remove: file => gapi.client.drive.files.update({ fileId: file.id, resource: { trashed: true } })
+	},
+	webdav: {
+		label: 'WebDAV server',
+		// With a username, the password is needed too (it's asked for once per session)
+		isReady: () => !!(App.settings.webdavUrl || '').trim() && (!App.settings.webdavUser || !!App.webdavPassword),
+		notReadyMessage: 'Waiting for the server URL and password',
+		list: listWebdavBackups,
+		upload: uploadWebdavBackup,
+		download: file => webdavRequest('GET', file.name).then(response => response.text()),
+		remove: file => webdavRequest('DELETE', file.name)
+	}
+};
 
-    // Hide the 'Restoring...' modal *before* calling the import function
-    hideModal(); 
+/**
+ * Gets the storage provider chosen in Settings.
+ * @returns {object} An entry of STORAGE_PROVIDERS.
+ */
+const storageProvider = () => STORAGE_PROVIDERS[App.settings.storageProvider] || STORAGE_PROVIDERS.drive;
 
-    // Now, call the import function. It will show its own modals.
-    // We use .catch() because the promise will 'reject' on a real error.
-    // The import function itself handles 'Import complete' or 'cancel'.
-    await importWorkoutsFromCSV(csvData);
+/**
+ * Shows the controls for the chosen storage provider: the Google sign-in
+ * buttons for Drive (backup and restore only once signed in), the server
+ * fields for WebDAV. While offline only a notice is shown.
+ */
+function renderStorageProviderUI() {
+	const drive = storageProvider() === STORAGE_PROVIDERS.drive;
+	const online = navigator.onLine;
+	const ready = online && storageProvider().isReady();
+	$('authorize_button').style.display = drive && online && gapiInited && gisInited ? '' : 'none';
+	$('signout_button').style.display = drive && ready ? '' : 'none';
+	$('backup_button').style.display = ready ? '' : 'none';
+	$('restore_button').style.display = ready ? '' : 'none';
+	$('webdavSettings').style.display = drive ? 'none' : '';
+	$('offlineNotice').style.display = online ? 'none' : '';
+}
 
-  } catch (err) {
-    console.error('Restore failed:', err);
-    hideModal(); // Ensure all modals are closed
-    showModal('Restore failed: ' + err.message);
-  }
-}
\ No newline at end of file
+// ==========================================================================
+//  Backup & Restore
+// ==========================================================================
+
+/**
+ * Picks the backups a retention policy no longer keeps. For each period the
+ * newest backup of each of the last N days, weeks (from Monday) or months that
+ * have one is kept; the newest backup overall is always kept. With every count
+ * at 0 nothing is pruned.
+ * @param {Array<object>} files - The backups ({id, createdTime}).
+ * @param {{daily: number, weekly: number, monthly: number}} policy - Backups to keep per period.
+ * @returns {Array<object>} The backups to remove.
+ */
+function backupsToPrune(files, policy) {
+	const counts = ['daily', 'weekly', 'monthly'].map(p => Math.max(0, parseInt(policy?.[p], 10) || 0));
+	if (!files.length || counts.every(n => n === 0)) return [];
+
+	const newestFirst = files.map(f => ({ file: f, date: new Date(f.createdTime || f.modifiedTime) }))
+		.sort((a, b) => b.date - a.date);
+	const periodKeys = [
+		d => dayKey(d),
+		d => dayKey(addDays(d, -((d.getDay() + 6) % 7))),
+		d => `${d.getFullYear()}-${d.getMonth()}`
+	];
+
+	const keep = new Set([newestFirst[0].file.id]);
+	periodKeys.forEach((periodKey, i) => {
+		const seen = new Set();
+		for (const { file, date } of newestFirst) {
+			if (seen.size >= counts[i]) break;
+			const key = periodKey(date);
+			if (!seen.has(key)) {
+				seen.add(key);
+				keep.add(file.id);
+			}
+		}
+	});
+	return newestFirst.map(f => f.file).filter(f => !keep.has(f.id));
+}
+
+/**
+ * Removes the backups the retention policy (App.settings.retention) no longer keeps.
+ * @param {object} provider - Where the backups are, see STORAGE_PROVIDERS.
+ * @returns {Promise<number>} The number of backups removed.
+ */
+async function pruneBackups(provider) {
+	const prune = backupsToPrune(await provider.list(), App.settings.retention);
+	for (const file of prune) {
+		await provider.remove(file);
+	}
+	return prune.length;
+}
+
+/**
+ * Uploads a backup in the format chosen in Settings to the storage provider
+ * chosen there, marks the history as backed up and prunes old backups according to the retention policy.
+ * @returns {Promise<number|null>} The number of old backups pruned, or null if there was nothing to back up.
+ */
+async function backupToStorage() {
+	const provider = storageProvider();
+	const revision = autoBackup.revision;
+	const backup = exportBackup();
+	if (!backup) return null;
+
+	await provider.upload(backup.content, backup.fileName, backup.mimeType);
+	App.settings.lastDriveBackup = new Date().toISOString();
+	// Changes made while uploading aren't in this backup and still need one
+	if (autoBackup.revision === revision) App.settings.historyDirty = false;
+	recordBackupOutcome(true, 'Backed up');
+
+	// A failed cleanup shouldn't make the backup itself look failed
+	return pruneBackups(provider).catch(err => {
+		console.error("Pruning old backups failed:", err);
+		return 0;
+	});
+}
+
+/**
+ * Called when user clicks "Back up now".
+ * Exports a backup in the format chosen in Settings and uploads it.
+ */
+async function handleBackups() {
+	if (!navigator.onLine) {
+		showModal("You're offline. Back up again once the connection is back.");
+		return;
+	}
+	try {
+		const pruned = await backupToStorage();
+		if (pruned === null) return;
+		showModal(`Backup successful! Check your ${storageProvider().label} folder.` +
+			(pruned ? `\nRemoved ${pruned} old backup${pruned === 1 ? '' : 's'}.` : ''));
+	} catch (err) {
+		console.error("Backup failed:", err);
+		recordBackupOutcome(false, `Failed: ${err.message || 'unknown error'}`);
+		showModal("Backup failed. Check console for details.");
+	}
+}
+
+/**
+ * Formats a file size for display.
+ * @param {number|string} bytes - The size in bytes.
+ * @returns {string} E.g. "12.3 KB".
+ */
+function formatFileSize(bytes) {
+	const n = parseInt(bytes, 10) || 0;
+	if (n < 1024) return `${n} B`;
+	if (n < 1024 * 1024) return `${roundTenth(n / 1024)} KB`;
+	return `${roundTenth(n / 1024 / 1024)} MB`;
+}
+
+/**
+ * Downloads one backup and imports it (replacing or merging, per the Import
+ * Mode setting).
+ * @param {object} provider - Where the backup is, see STORAGE_PROVIDERS.
+ * @param {object} file - The backup file, from provider.list().
+ */
+async function restoreBackup(provider, file) {
+	try {
+		showModal(`Downloading ${file.name}...`);
+		const data = await provider.download(file);
+
+		// Hide the 'Downloading...' modal *before* importing; the import shows its own modals
+		hideModal();
+		await importBackupFile(data);
+	} catch (err) {
+		console.error('Restore failed:', err);
+		hideModal(); // Ensure all modals are closed
+		showModal('Restore failed: ' + err.message);
+	}
+}
+
+/**
+ * Handles restoring a backup: lists every backup in the chosen storage with
+ * its date, size and workout count, and restores the one picked.
+ */
+async function handleRestore() {
+	const provider = storageProvider();
+	if (!navigator.onLine) {
+		showModal("You're offline. Restore once the connection is back.");
+		return;
+	}
+	try {
+		showModal(`Loading backups from ${provider.label}...`);
+		const files = await provider.list();
+		hideModal();
+		if (!files.length) {
+			showModal(`No backup files found in ${provider.label}.`);
+			return;
+		}
+
+		const list = create('ul', { class: 'backup-list' });
+		files.forEach(file => {
+			const count = file.workoutCount;
+			const restoreBtn = create('button', { textContent: 'Restore' });
+			restoreBtn.addEventListener('click', () => {
+				hideModal();
+				restoreBackup(provider, file);
+			});
+			list.appendChild(create('li', {},
+				create('span', {},
+					create('strong', {}, new Date(file.createdTime || file.modifiedTime).toLocaleString()),
+					create('br'),
+					`${formatFileSize(file.size)} · ${count != null ? `${count} workouts` : 'workouts unknown'} · ${file.name.endsWith('.csv') ? 'CSV' : 'JSON'}`),
+				restoreBtn));
+		});
+		showFormModal(`${files.length} backup${files.length === 1 ? '' : 's'} in ${provider.label}. Pick one to restore:`, list, () => {});
+	} catch (err) {
+		console.error('Listing backups failed:', err);
+		hideModal();
+		showModal('Could not list backups: ' + err.message);
+	}
+}
+
+// ==========================================================================
+//  Automatic Backup
+// ==========================================================================
+
+// Auto backup choices: upload shortly after each change, or check every few minutes
+const AUTO_BACKUP_MODES = {
+	off: {},
+	change: {},
+	15: { minutes: 15 },
+	60: { minutes: 60 }
+};
+const AUTO_BACKUP_DELAY_MS = 10 * 1000; // Lets a burst of edits go out as one upload
+const AUTO_BACKUP_RETRY_MS = 30 * 1000; // First retry after a failure, doubled for each further one
+const AUTO_BACKUP_MAX_RETRY_MS = 30 * 60 * 1000;
+
+// The pending upload; historyDirty itself is the queue, so nothing is lost on reload
+const autoBackup = {
+	timerId: null, // Pending (re)try
+	intervalId: null, // Periodic check for the interval modes
+	attempt: 0, // Failures since the last successful upload
+	running: false,
+	revision: 0 // Bumped by markHistoryDirty(), see backupToStorage()
+};
+
+/**
+ * Stores and shows the outcome of a cloud backup attempt.
+ * @param {boolean} ok - Whether the backup was uploaded.
+ * @param {string} message - What happened.
+ */
+function recordBackupOutcome(ok, message) {
+	if (ok) autoBackup.attempt = 0;
+	App.settings.lastBackupOutcome = { at: new Date().toISOString(), ok, message };
+	saveSettings();
+	renderBackupAndDirtyUI();
+}
+
+/**
+ * (Re)starts automatic backups according to the setting, running one right
+ * away if the history already has changes waiting.
+ */
+function startAutoBackup() {
+	clearInterval(autoBackup.intervalId);
+	autoBackup.intervalId = null;
+	const mode = AUTO_BACKUP_MODES[App.settings.autoBackup];
+	if (!mode || App.settings.autoBackup === 'off') {
+		clearTimeout(autoBackup.timerId);
+		return;
+	}
+	if (mode.minutes) {
+		autoBackup.intervalId = setInterval(() => scheduleAutoBackup(0), mode.minutes * 60 * 1000);
+	}
+	scheduleAutoBackup(0);
+}
+
+/**
+ * Schedules an automatic backup, replacing any pending one.
+ * @param {number} delay - Milliseconds to wait.
+ */
+function scheduleAutoBackup(delay) {
+	clearTimeout(autoBackup.timerId);
+	autoBackup.timerId = setTimeout(runAutoBackup, delay);
+}
+
+/**
+ * Uploads a backup if auto backup is on and the history has changed. While
+ * offline or signed out the upload stays queued until the connection or sign-in
+ * comes back; failed uploads are retried with exponential backoff.
+ */
+async function runAutoBackup() {
+	autoBackup.timerId = null;
+	if (App.settings.autoBackup === 'off' || !App.settings.historyDirty || autoBackup.running) return;
+
+	if (!navigator.onLine) {
+		recordBackupOutcome(false, 'Offline, will back up when the connection is back');
+		return;
+	}
+	const provider = storageProvider();
+	if (!provider.isReady()) {
+		recordBackupOutcome(false, provider.notReadyMessage);
+		return;
+	}
+
+	autoBackup.running = true;
+	try {
+		await backupToStorage();
+	} catch (err) {
+		console.error("Automatic backup failed:", err);
+		const delay = Math.min(AUTO_BACKUP_RETRY_MS * 2 ** autoBackup.attempt, AUTO_BACKUP_MAX_RETRY_MS);
+		autoBackup.attempt++;
+		recordBackupOutcome(false, `Failed (${err.message || 'unknown error'}), retrying in ${fmtTime(delay / 1000)}`);
+		scheduleAutoBackup(delay);
+	} finally {
+		autoBackup.running = false;
+	}
+	// Changes made during the upload
+	if (App.settings.historyDirty && !autoBackup.timerId && App.settings.autoBackup === 'change') {
+		scheduleAutoBackup(AUTO_BACKUP_DELAY_MS);
+	}
+}
@@ -0,0 +1,54 @@
+'use strict';
+
+// ==========================================================================
+//  Service Worker: offline app shell
+// ==========================================================================
+
+// Bump this with every release; the new worker then caches the new files and
+// the page offers to reload into them (see registerServiceWorker() in script.js).
+const CACHE_VERSION = 'workout-tracker-v2';
+
+// Everything the app needs to start and draw charts without a connection
+const PRECACHE_URLS = [
+	'./',
+	'index.html',
+	'script.js',
+	'style.css',
+	'vendor/chart.umd.min.js',
+	'manifest.webmanifest',
+	'icon.svg'
+];
+
+self.addEventListener('install', event => {
+	// No skipWaiting() here: a running workout keeps the old version until the user agrees to reload
+	event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', event => {
+	event.waitUntil(
+		caches.keys()
+			.then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+			.then(() => self.clients.claim())
+	);
+});
+
+self.addEventListener('message', event => {
+	if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+	const { request } = event;
+	// Google sign-in, Drive and WebDAV traffic always goes to the network
+	if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+	event.respondWith(
+		caches.match(request, { ignoreSearch: true }).then(cached => {
+			if (cached) return cached;
+			return fetch(request).catch(() => {
+				// Offline page loads still get the app shell
+				if (request.mode === 'navigate') return caches.match('index.html');
+				throw new Error(`Offline and not cached: ${request.url}`);
+			});
+		})
+	);
+});
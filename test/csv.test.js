@@ -0,0 +1,179 @@
+'use strict';
+
+// Round-trip tests for the CSV writer and tokenizer in script.js. The app is a
+// plain browser script, so it's loaded into a sandbox with just enough of the
+// DOM stubbed out for its top-level code to run.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const element = () => ({ style: {}, addEventListener() {}, appendChild() {}, setAttribute() {} });
+const fakeStorage = () => {
+	const items = new Map();
+	return {
+		getItem: key => items.has(key) ? items.get(key) : null,
+		setItem: (key, value) => items.set(key, String(value)),
+		removeItem: key => items.delete(key)
+	};
+};
+const sandbox = {
+	console,
+	Blob,
+	TextDecoder,
+	window: { matchMedia: () => ({ matches: false, addEventListener() {} }), addEventListener() {} },
+	document: { addEventListener() {}, getElementById: element, querySelector: element, createElement: element },
+	navigator: {},
+	localStorage: fakeStorage(),
+	sessionStorage: fakeStorage()
+};
+vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8'), sandbox, { filename: 'script.js' });
+const app = code => vm.runInContext(code, sandbox);
+
+// Values from the sandbox have its own Array and Object prototypes, so they're compared as plain data
+const deepEqual = (actual, expected, message) =>
+	assert.deepEqual(JSON.parse(JSON.stringify(actual)), JSON.parse(JSON.stringify(expected)), message);
+const csvRecord = app('csvRecord');
+const { parseCSV, parseCSVFile, createCSVParser, workoutsFromNativeCSV, describeSkippedRows } = sandbox;
+
+const HOSTILE_NAMES = [
+	'Plain',
+	'He said "heavy"',
+	'""',
+	'Squat, paused',
+	'Two\nlines',
+	'Windows\r\nline',
+	'Lone\rCR',
+	'=SUM(A1:A9)',
+	'+1 Rep',
+	'-2 Sets',
+	'@mention',
+	'  padded  ',
+	'Жим лёжа',
+	'ベンチプレス 💪',
+	'\uFEFFBOM inside',
+	''
+];
+
+test('fields survive a csvRecord / parseCSV round trip', () => {
+	const rows = HOSTILE_NAMES.map((name, i) => [i, name, `${name}|${name}`]);
+	const records = parseCSV(rows.map(csvRecord).join(''));
+	assert.equal(records.length, rows.length);
+	records.forEach((record, i) => {
+		assert.equal(record.error, null);
+		deepEqual(record.fields, rows[i].map(String));
+	});
+});
+
+test('records report the line they start on, counting line breaks inside fields', () => {
+	const records = parseCSV(csvRecord(['a', 'x\ny']) + csvRecord(['b', 'z']));
+	deepEqual(records.map(r => r.line), [1, 3]);
+});
+
+test('a leading BOM is dropped, but not one inside a field', () => {
+	const records = parseCSV('\uFEFF' + csvRecord(['Name', 'Reps']) + csvRecord(['\uFEFFBench', '5']));
+	deepEqual(records.map(r => r.fields), [['Name', 'Reps'], ['\uFEFFBench', '5']]);
+});
+
+test('LF, CRLF and CR line endings and blank lines are all accepted', () => {
+	const records = parseCSV('a,b\nc,d\r\n\r\ne,f\rg,h');
+	deepEqual(records.map(r => r.fields), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+});
+
+test('text pushed in chunks of any size gives the same records', () => {
+	const text = '\uFEFF' + HOSTILE_NAMES.map((name, i) => csvRecord([i, name])).join('');
+	const whole = parseCSV(text);
+	[1, 2, 3, 7].forEach(size => {
+		const records = [];
+		const parser = createCSVParser(record => records.push(record));
+		for (let i = 0; i < text.length; i += size) parser.push(text.slice(i, i + size));
+		parser.end();
+		deepEqual(records, whole, `chunks of ${size}`);
+	});
+});
+
+test('a file is tokenized as it streams, even with characters split across chunks', async () => {
+	const text = '\uFEFF' + HOSTILE_NAMES.map((name, i) => csvRecord([i, name])).join('');
+	const bytes = new TextEncoder().encode(text);
+	// One byte per chunk, so every multi-byte character is split
+	const file = { stream: () => new ReadableStream({ start(c) { bytes.forEach(b => c.enqueue(new Uint8Array([b]))); c.close(); } }) };
+	deepEqual(await parseCSVFile(file), parseCSV(text));
+	deepEqual(await parseCSVFile(new Blob([text])), parseCSV(text));
+});
+
+test('malformed records are passed on with an error', () => {
+	const records = parseCSV('a,"b"c\nd,e"f\n"unterminated,g\n');
+	assert.match(records[0].error, /text after a quoted field in field 2/);
+	assert.match(records[1].error, /unexpected quote in field 2/);
+	assert.match(records[2].error, /unterminated quoted field 1/);
+});
+
+test('exported history round-trips with hostile exercise names', () => {
+	app(`App.workouts = ${JSON.stringify(HOSTILE_NAMES.filter(Boolean).map((name, i) => ({
+		id: `w${i}`,
+		date: new Date(Date.UTC(2025, 0, i + 1)).toISOString(),
+		totalTime: 600,
+		exercises: [
+			{ type: 'exercise', name, unit: 'kg', time: 120, sets: [
+				{ reps: 5, weights: [100], dropset: false, difficulty: 8, time: 40 },
+				{ reps: 3, weights: [90, 80, 70], dropset: true, difficulty: 9, time: 50 }
+			] },
+			{ type: 'break', duration: 60, time: 55 },
+			{ type: 'exercise', name, unit: 'lbs', time: 30, sets: [] }
+		]
+	})))};`);
+	const [header, ...rows] = parseCSV(app('exportWorkoutsToCSV()'));
+	const { workouts, skipped } = workoutsFromNativeCSV(header.fields.map(h => h.trim().toLowerCase()), rows);
+	deepEqual(skipped, []);
+	const original = app('App.workouts');
+	assert.equal(workouts.length, original.length);
+	workouts.forEach((w, i) => {
+		assert.equal(w.date, original[i].date);
+		assert.equal(w.exercises[0].name, original[i].exercises[0].name);
+		deepEqual(w.exercises[0].sets, original[i].exercises[0].sets);
+		assert.equal(w.exercises[0].time, 120);
+		deepEqual(w.exercises[1], { type: 'break', duration: 60, time: 55 });
+		deepEqual(w.exercises[2], { type: 'exercise', name: original[i].exercises[2].name, unit: 'lbs', sets: [], time: 30 });
+	});
+});
+
+test('files without an ExerciseTime column rebuild exercise times from the set times', () => {
+	const header = ['WorkoutIndex', 'Date', 'TotalTime', 'Type', 'Name', 'Set', 'Reps', 'Weights', 'Unit', 'Difficulty', 'Dropset', 'Duration', 'Time'];
+	const row = set => [0, '2025-01-01T10:00:00.000Z', 600, 'exercise', 'Bench', set, 5, 100, 'kg', 8, 0, '', 30];
+	const [headerRecord, ...rows] = parseCSV([header, row(1), row(2)].map(csvRecord).join(''));
+	const { workouts } = workoutsFromNativeCSV(headerRecord.fields.map(h => h.toLowerCase()), rows);
+	assert.equal(workouts[0].exercises.length, 1);
+	assert.equal(workouts[0].exercises[0].sets.length, 2);
+	assert.equal(workouts[0].exercises[0].time, 60);
+});
+
+test('malformed and invalid rows are skipped and reported with their line and reason', () => {
+	const header = ['WorkoutIndex', 'Date', 'TotalTime', 'Type', 'Name', 'Set', 'Reps', 'Weights', 'Unit', 'Difficulty', 'Dropset', 'Duration', 'Time'];
+	const row = (wi, type, name) => [wi, '2025-01-01T10:00:00.000Z', 600, type, name, 1, 5, 100, 'kg', 8, 0, '', 30];
+	const text = [
+		csvRecord(header),
+		csvRecord(row(0, 'exercise', 'Good, "quoted"\nname')), // Lines 2-3
+		csvRecord(row('x', 'exercise', 'Bench')), // 4
+		csvRecord(row(0, 'warmup', 'Bench')), // 5
+		'0,2025-01-01,600,exercise,Short\r\n', // 6
+		csvRecord(row(0, 'exercise', 'Bench')).replace('Bench', '"Bench"x'), // 7
+		csvRecord(row(0, 'exercise', 'Unterminated')).replace('Unterminated', '"Unterminated') // 8
+	].join('');
+	const [headerRecord, ...rows] = parseCSV(text);
+	const { workouts, skipped } = workoutsFromNativeCSV(headerRecord.fields.map(h => h.toLowerCase()), rows);
+
+	assert.equal(workouts.length, 1);
+	assert.equal(workouts[0].exercises[0].name, 'Good, "quoted"\nname');
+	deepEqual(skipped, [
+		{ line: 4, reason: 'WorkoutIndex "x" is not a number' },
+		{ line: 5, reason: 'unknown Type "warmup"' },
+		{ line: 6, reason: 'has 5 fields, expected 13' },
+		{ line: 7, reason: 'unexpected text after a quoted field in field 5' },
+		{ line: 8, reason: 'unterminated quoted field 5' }
+	]);
+	assert.equal(describeSkippedRows(skipped).split('\n')[0], 'Skipped 5 rows:');
+	assert.match(describeSkippedRows(skipped), /^Line 8: unterminated quoted field 5$/m);
+});